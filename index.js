@@ -15,6 +15,40 @@ const defineSettings = [
     default: "",
     type: "string",
   },
+  {
+    key: "taskMarkers",
+    title: "Task markers",
+    description:
+      "Comma-separated list of the markers of open tasks, e.g. TODO, DOING or NOW, LATER. Widgets can override this with the markers=... argument.",
+    default: "TODO, DOING",
+    type: "string",
+  },
+  {
+    key: "renderMode",
+    title: "How to show the tasks",
+    description:
+      '"embed" inserts references to the tasks as child blocks of the widget. "inline" shows the tasks inside the widget, without changing the page. Widgets can override this with the render=embed or render=inline argument.',
+    default: "embed",
+    type: "enum",
+    enumChoices: ["embed", "inline"],
+    enumPicker: "select",
+  },
+  {
+    key: "staleDays",
+    title: "Days until a task is stale",
+    description:
+      "Tasks whose block wasn't changed for more than this many days are marked as stale. 0 turns this off. Widgets can override this with the stale-days=... argument.",
+    default: 90,
+    type: "number",
+  },
+  {
+    key: "filterPresets",
+    title: "Filter presets",
+    description:
+      'Named filters that any widget can apply from its preset menu, as a map from the name to the renderer arguments, e.g. { "Backend sprint": "sprint, backend, ignore=someday" }. Widgets can also save their current filter as a preset.',
+    default: {},
+    type: "object",
+  },
 ];
 
 logseq.useSettingsSchema(defineSettings);
@@ -24,7 +58,52 @@ logseq.onSettingsChanged(() => {
 
 /******************************* HELPERS *****************************/
 
-/** Get all the doable tasks on the page named `lowercaseBlockName`.
+/** Returns a string as an EDN string literal, for the inputs of Datalog queries.
+ * Names are passed as inputs rather than written into the query, so that any
+ * character in them is safe. */
+function ednString(text) {
+  return JSON.stringify(String(text));
+}
+
+/** Returns the inputs of a Datalog query over the tasks in `scope` with one of the
+ * `markers`, to bind `:in $ ?scope-name ?scope-prefix [?marker ...]`. */
+function scopeInputs(scope, markers) {
+  const name = scope.type === "namespace" ? scope.name : scope.page?.name || "";
+  return [
+    ednString(name),
+    ednString(`${name}/`),
+    `[${markers.map(ednString).join(" ")}]`,
+  ];
+}
+
+/** Returns the Datalog clauses that bind ?task to the blocks in `scope` (see getQueryScope),
+ * using the inputs from scopeInputs.
+ * A page scope contains the blocks on the page and the blocks that reference it, and a
+ * namespace scope does the same for the namespace page and every page under it. */
+function scopeClauses(scope) {
+  switch (scope.type) {
+    case "graph":
+      return "";
+    case "namespace":
+      return `
+       ; Get the namespace and the pages under it
+       [?page :block/name ?name]
+       (or [(= ?name ?scope-name)]
+           [(clojure.string/starts-with? ?name ?scope-prefix)])
+       ; Get tasks on those pages, or tasks that reference those pages
+       (or [?task :block/page ?page]
+           [?task :block/path-refs ?page])`;
+    default:
+      return `
+       ; Get the page
+       [?page :block/name ?scope-name]
+       ; Get tasks on the page, or tasks that reference the page
+       (or [?task :block/page ?page]
+           [?task :block/path-refs ?page])`;
+  }
+}
+
+/** Get all the tasks in `scope` whose marker is one of `markers`.
  * Returns a list of tasks. Each task is an object of the form:
  {
      "properties": {
@@ -51,21 +130,20 @@ logseq.onSettingsChanged(() => {
      ]
  }
 */
-async function getTasksForPage(lowercaseBlockName) {
+async function getTasksInScope(scope, markers) {
   let ret;
   try {
-    ret = await logseq.DB.datascriptQuery(`
+    ret = await logseq.DB.datascriptQuery(
+      `
       [:find (pull ?task [*])
+       :in $ ?scope-name ?scope-prefix [?marker ...]
        :where
-       ; Get current page
-       [?page :block/name "${lowercaseBlockName}"]
-       ; Get tasks on the page, or tasks that reference the page
-       (or [?task :block/page ?page]
-           [?task :block/path-refs ?page])
+       ${scopeClauses(scope)}
        [?task :block/marker ?marker]
-       [(contains? #{"TODO" "DOING"} ?marker)]
       ]
-    `);
+    `,
+      ...scopeInputs(scope, markers),
+    );
   } catch (e) {
     console.error(e);
   }
@@ -74,7 +152,7 @@ async function getTasksForPage(lowercaseBlockName) {
 }
 
 /**
- * Like getTasksForPage, but returns only the *tags* associated with those tasks.
+ * Like getTasksInScope, but returns only the *tags* associated with those tasks.
  * Returns a list of tags. Each tag is an object of the form:
  {
      "id": 9841,
@@ -87,23 +165,45 @@ async function getTasksForPage(lowercaseBlockName) {
  }
  * Notice that "name" is just original-name converted to lowercase.
  */
-async function getTagsForPage(lowercaseBlockName) {
+async function getTagsInScope(scope, markers) {
   let ret;
   try {
-    ret = await logseq.DB.datascriptQuery(`
+    ret = await logseq.DB.datascriptQuery(
+      `
       [:find (pull ?tag [*])
+       :in $ ?scope-name ?scope-prefix [?marker ...]
        :where
-       ; Get current page
-       [?page :block/name "${lowercaseBlockName}"]
-       ; Get tasks on the page, or tasks that reference the page
-       (or [?task :block/page ?page]
-           [?task :block/path-refs ?page])
+       ${scopeClauses(scope)}
        [?task :block/marker ?marker]
-       [(contains? #{"TODO" "DOING"} ?marker)]
        ; Get tags of those tasks
        [?task :block/path-refs ?tag]
       ]
-    `);
+    `,
+      ...scopeInputs(scope, markers),
+    );
+  } catch (e) {
+    console.error(e);
+  }
+
+  return (ret || []).flat();
+}
+
+/** Get all the tasks on the page named `lowercaseBlockName`, whatever their marker. */
+async function getAllTasksOnPage(lowercaseBlockName) {
+  let ret;
+  try {
+    ret = await logseq.DB.datascriptQuery(
+      `
+      [:find (pull ?task [*])
+       :in $ ?name
+       :where
+       [?page :block/name ?name]
+       [?task :block/page ?page]
+       [?task :block/marker ?marker]
+      ]
+    `,
+      ednString(lowercaseBlockName),
+    );
   } catch (e) {
     console.error(e);
   }
@@ -111,541 +211,4247 @@ async function getTagsForPage(lowercaseBlockName) {
   return (ret || []).flat();
 }
 
+/** Get the pages with the given IDs. Returns a map from page id to the page. */
+async function getPagesByID(pageIDs) {
+  if (pageIDs.length === 0) return new Map();
+  let ret;
+  try {
+    ret = await logseq.DB.datascriptQuery(
+      `
+      [:find (pull ?page [:db/id :block/name :block/original-name])
+       :in $ [?page ...]
+       :where
+       [?page :block/name]
+      ]
+    `,
+      `[${pageIDs.join(" ")}]`,
+    );
+  } catch (e) {
+    console.error(e);
+  }
+
+  return new Map((ret || []).flat().map((page) => [page.id, page]));
+}
+
+/** Escape a string so that it can be interpolated into an HTML template. */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/** A short, single-line title for a task: the first line of its content without the
+ * marker and the priority. */
+function taskTitle(task, maxLength = 40) {
+  const firstLine = (task.content || "").split("\n")[0];
+  const title = firstLine
+    .replace(/^[A-Z][A-Z_-]*\s+/, "")
+    .replace(/^\[#[A-Z]\]\s*/, "")
+    .trim();
+  return title.length > maxLength ? `${title.slice(0, maxLength)}...` : title;
+}
+
+/** Properties that Logseq uses internally, or that are used for other purposes by
+ * the plugin, and so aren't offered as facets. */
+const HIDDEN_PROPERTIES = [
+  "id",
+  "collapsed",
+  "heading",
+  "blocked-by",
+  "depends-on",
+  "qquery-embed",
+];
+
+/** Returns the values of the property `key` of a block as a list of strings. Page
+ * references are parsed into a list of page names, other values are kept as written. */
+function getPropertyValues(block, key) {
+  const value = (block.properties || {})[key];
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v));
+}
+
+/** Returns true iff the block has `value` among the values of its property `key`. */
+function hasPropertyValue(block, key, value) {
+  return getPropertyValues(block, key).some(
+    (v) => v.toLowerCase() === value.toLowerCase(),
+  );
+}
+
+/** Returns the property facets of a list of tasks: a map from each property key
+ * that occurs on the tasks to the list of its distinct values, sorted. */
+function getPropertyFacets(tasks) {
+  const facets = new Map();
+  for (const task of tasks) {
+    for (const key of Object.keys(task.properties || {})) {
+      if (HIDDEN_PROPERTIES.includes(key) || key.startsWith("logseq."))
+        continue;
+      if (!facets.has(key)) facets.set(key, new Map());
+      for (const value of getPropertyValues(task, key)) {
+        // Values are matched case-insensitively, so keep the first spelling of each
+        if (!facets.get(key).has(value.toLowerCase())) {
+          facets.get(key).set(value.toLowerCase(), value);
+        }
+      }
+    }
+  }
+  return new Map(
+    [...facets.keys()]
+      .sort((a, b) => a.localeCompare(b))
+      .map((key) => [
+        key,
+        [...facets.get(key).values()].sort((a, b) => a.localeCompare(b)),
+      ]),
+  );
+}
+
+/** Group namespaced tags such as "area/backend/db" into a tree. Returns the top-level
+ * nodes, each of the form { name, label, selectable, children }, where `name` is the
+ * full tag name and `label` the last part of it, e.g. "db". The namespaces of the tags
+ * become nodes too, even when no task references them, since selecting a namespace
+ * matches every tag under it. Namespaces in `unselectableNames` are shown as labels.
+ */
+function getTagTree(tags, unselectableNames = []) {
+  const nodes = new Map();
+  const roots = [];
+  function getNode(name) {
+    if (nodes.has(name)) return nodes.get(name);
+    const slash = name.lastIndexOf("/");
+    const node = {
+      name,
+      label: name.slice(slash + 1),
+      selectable: !unselectableNames.includes(name),
+      children: [],
+    };
+    nodes.set(name, node);
+    const siblings =
+      slash === -1 ? roots : getNode(name.slice(0, slash)).children;
+    siblings.push(node);
+    return node;
+  }
+  tags.forEach((tag) => getNode(tag.name));
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach((node) => sortNodes(node.children));
+  };
+  sortNodes(roots);
+  return roots;
+}
+
+/** Returns the IDs of the tags that selecting the tag `tagName` matches: the tag
+ * itself and, if it's a namespace, every tag under it. */
+function getMatchingTagIDs(tags, tagName) {
+  return tags
+    .filter((tag) => tag.name === tagName || tag.name.startsWith(`${tagName}/`))
+    .map((tag) => tag.id);
+}
+
+/** Set the `count` of every node of a tag tree (see getTagTree) to the number of
+ * `tasks` that selecting it would leave, and sort the nodes according to `mode`:
+ * "name" keeps them sorted by name, "count" puts the tags of the most tasks first. */
+function countTagTree(nodes, tags, tasks, mode) {
+  for (const node of nodes) {
+    const ids = getMatchingTagIDs(tags, node.name);
+    node.count = tasks.filter((task) =>
+      task["path-refs"].some((ref) => ids.includes(ref.id)),
+    ).length;
+    countTagTree(node.children, tags, tasks, mode);
+  }
+  // The sort is stable, so tags with the same count stay sorted by name
+  if (mode === "count") nodes.sort((a, b) => b.count - a.count);
+}
+
+/** Returns true iff selecting the node of a tag tree, or a tag under it, would
+ * narrow down the `taskCount` tasks without leaving zero. */
+function isNarrowingTag(node, taskCount) {
+  return (
+    (node.count > 0 && node.count < taskCount) ||
+    node.children.some((child) => isNarrowingTag(child, taskCount))
+  );
+}
+
+/** A short label for a block: the name of a page, or the title of any other block. */
+function blockLabel(block, maxLength = 40) {
+  if (block.name) return block["original-name"] || block.name;
+  return taskTitle(block, maxLength);
+}
+
 /**************************** UPDATING RENDERER *****************************/
 
-/** Given a list of tag names, return a renderer query that filters by those tag names. */
-function generateRendererQuery(tagNames) {
-  if (!tagNames || tagNames.length === 0) {
+/* The arguments of a quick query are a comma-separated list of *terms*:
+ * - `tag`            keeps tasks that have the tag,
+ * - `-tag`           keeps tasks that do not have the tag,
+ * - `tag1 | tag2`    keeps tasks that have at least one of the tags (an "OR group"),
+ * *property filters* of the form `key:: value`, which keep tasks whose property `key`
+ * has the value, and *options* of the form `key=value`, e.g. `markers=DOING|WAITING`
+ * or `page=Project X`.
+ * A parsed query is an object of the form:
+ {
+     "terms": [
+         { "type": "include", "tags": ["frontend"] },
+         { "type": "exclude", "tags": ["waiting-on-legal"] },
+         { "type": "or", "tags": ["frontend", "design"] }
+     ],
+     "properties": [
+         { "key": "owner", "value": "alice" }
+     ],
+     "options": {
+         "markers": "DOING|WAITING"
+     }
+ }
+ * Option values are kept as written; see the helpers below for interpreting them.
+ *
+ * Tag names, property values and option values that contain characters with a meaning
+ * in the arguments, such as `,`, `|` or `}`, are written in double quotes, with `\` in
+ * front of `"`, `\`, `{` and `}`, e.g. `"research, design"` or `page="Q&A {draft\}"`.
+ * Escaping the braces keeps `}}` out of the arguments, so it always ends the renderer.
+ */
+
+// The characters that make an argument value ambiguous unless it's quoted
+const SPECIAL_ARGUMENT_CHARACTERS = /[,|"\\{}=]|::/;
+
+/** Encode a tag name, property value or option value for the renderer arguments,
+ * quoting it if necessary; see decodeArgument. */
+function encodeArgument(text) {
+  if (
+    text !== "" &&
+    text === text.trim() &&
+    !text.startsWith("-") &&
+    !SPECIAL_ARGUMENT_CHARACTERS.test(text)
+  ) {
+    return text;
+  }
+  return `"${text.replace(/["\\{}]/g, (c) => `\\${c}`)}"`;
+}
+
+/** Decode a value written by encodeArgument. Values without quotes are trimmed. */
+function decodeArgument(text) {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^"((?:[^"\\]|\\.)*)"$/);
+  return match ? match[1].replace(/\\(.)/g, "$1") : trimmed;
+}
+
+/** Split `text` at each `separator` that isn't inside double quotes. */
+function splitArguments(text, separator) {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted && c === "\\" && i + 1 < text.length) {
+      current += c + text[++i];
+      continue;
+    }
+    if (c === '"') quoted = !quoted;
+    if (c === separator && !quoted) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += c;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/** Get the values of a list option such as `ignore=someday|"maybe, later"`. */
+function getOptionList(query, key) {
+  return splitArguments(query.options[key] || "", "|")
+    .map(decodeArgument)
+    .filter((value) => value !== "");
+}
+
+/** Get the value of an option such as `page="Q&A"`, or undefined if it isn't set. */
+function getOptionValue(query, key) {
+  const value = query.options[key];
+  return value === undefined ? undefined : decodeArgument(value);
+}
+
+/** Parse the argument string of a renderer query, e.g. "a, -b, c | d, markers=TODO".
+ * Tag names are matched case-insensitively, so they are converted to lowercase. */
+function parseQueryArguments(argString) {
+  const terms = [];
+  const properties = [];
+  const options = {};
+  for (const arg of splitArguments(argString, ",")) {
+    const text = arg.trim();
+    if (text === "") continue;
+    const propertyMatch = text.match(/^([\w.-]+)::\s*(.+)$/);
+    if (propertyMatch) {
+      properties.push({
+        key: propertyMatch[1].toLowerCase(),
+        value: decodeArgument(propertyMatch[2]),
+      });
+      continue;
+    }
+    const optionMatch = text.match(/^([a-z-]+)\s*=\s*(.*)$/);
+    if (optionMatch) {
+      options[optionMatch[1]] = optionMatch[2].trim();
+      continue;
+    }
+    const tagName = (tag) => decodeArgument(tag).toLowerCase();
+    const group = splitArguments(text, "|").filter((tag) => tag.trim() !== "");
+    if (group.length > 1) {
+      terms.push({ type: "or", tags: group.map(tagName) });
+    } else if (group.length === 0) {
+      continue;
+    } else if (text.startsWith("-") && text.length > 1) {
+      terms.push({ type: "exclude", tags: [tagName(text.slice(1))] });
+    } else {
+      terms.push({ type: "include", tags: [tagName(group[0])] });
+    }
+  }
+  return { terms, properties, options };
+}
+
+/** The inverse of parseQueryArguments: turn a term into its argument string. */
+function serializeTerm(term) {
+  switch (term.type) {
+    case "exclude":
+      return `-${encodeArgument(term.tags[0])}`;
+    case "or":
+      return term.tags.map(encodeArgument).join(" | ");
+    default:
+      return encodeArgument(term.tags[0]);
+  }
+}
+
+/** Given a parsed query, return a renderer query with its options and terms. */
+function generateRendererQuery(query) {
+  const args = serializeQuery(query);
+  if (args === "") {
     return `{{renderer :qquery}}`;
   } else {
-    return `{{renderer :qquery, ${tagNames.join(", ")}}}`;
+    return `{{renderer :qquery, ${args}}}`;
   }
 }
 
-/** Given a block that contains {{renderer :query, ...}} in its content, and
- * a list of tag names [tag1, tag2, ...], replace that renderer query with the
- * updated {{renderer :query, tag1, tag2, ...}}.
+/** Returns the renderer arguments of a parsed query, e.g. "limit=5, work, -someday". */
+function serializeQuery(query) {
+  return [
+    ...Object.entries(query?.options || {}).map(
+      ([key, value]) => `${key}=${value}`,
+    ),
+    ...(query?.terms || []).map(serializeTerm),
+    ...(query?.properties || []).map(
+      ({ key, value }) => `${key}:: ${encodeArgument(value)}`,
+    ),
+  ].join(", ");
+}
+
+/** Given a block that contains {{renderer :qquery, ...}} in its content, and
+ * a parsed query, replace that renderer query with the one generated from
+ * the parsed query.
  */
-async function updateRendererQuery(uuid, tagNames) {
+async function updateRendererQuery(uuid, query) {
+  if (uuid === PANEL_UUID) return await savePanelQuery(query);
   // Fetch the block
   const block = await logseq.Editor.getBlock(uuid);
   const content = block?.content;
   // Find the old renderer query
-  const regex = /{{renderer :qquery,?\s*(.*)}}/;
-  const match = content.match(regex);
-  if (!match) return;
+  const renderer = findRenderer(content);
+  if (!renderer) return;
   // Replace the old renderer query with the new one
-  const oldQuery = match[0];
-  const newQuery = generateRendererQuery(tagNames);
-  const newContent = content.replace(oldQuery, newQuery);
+  const newQuery = generateRendererQuery(query);
+  const newContent =
+    content.slice(0, renderer.start) + newQuery + content.slice(renderer.end);
   console.log("new content", newContent);
   // Update the block
   await logseq.Editor.updateBlock(uuid, newContent);
 }
 
-/** Given a block that contains {{renderer :qquery, tag1, tag2, ...}} in its content,
- * return [tag1, tag2, ...]. */
+/** Given a block that contains {{renderer :qquery, term1, term2, ...}} in its content,
+ * return the parsed query. */
 async function parseRendererQuery(uuid) {
+  if (uuid === PANEL_UUID) return await loadPanelQuery();
   // Get the block
   const block = await logseq.Editor.getBlock(uuid);
   const content = block?.content;
   // Parse its contents
-  const regex = /{{renderer :qquery,?\s*(.*)}}/;
-  const match = content.match(regex);
-  if (match && match[1]) {
-    return match[1].split(",").map((tag) => tag.trim());
-  } else {
-    return [];
-  }
+  return parseQueryArguments(findRenderer(content)?.args || "");
 }
 
-/**************************** Fetching tasks *****************************/
-
-/** Given a list of tag names the user selected, return an object with:
- * - selectedTags: the tags that the user has selected
- * - remainingTags: the tags in the filtered tasks that are not selected
- * - filteredTasks: the tasks that have all the selected tags
- */
-async function getTagsAndTasks(selectedTagNames) {
-  let page = await logseq.Editor.getCurrentPage();
-  console.log("page", page);
-  if (page === null || (!page.name && !page.parent)) return;
-  if (!page.name) {
-    page = await logseq.Editor.getPage(page.parent.id);
+/** Find the first {{renderer :qquery, ...}} in the content of a block. Returns an
+ * object { start, end, args } with the position of the renderer in the content and
+ * its argument string, or undefined if there is none. The renderer ends at the first
+ * `}}` that isn't inside a quoted argument, so the rest of the block is left alone. */
+function findRenderer(content) {
+  const match = (content || "").match(/{{renderer :qquery,?\s*/);
+  if (!match) return;
+  const argsStart = match.index + match[0].length;
+  let quoted = false;
+  for (let i = argsStart; i < content.length; i++) {
+    if (quoted && content[i] === "\\") {
+      i++;
+    } else if (content[i] === '"') {
+      quoted = !quoted;
+    } else if (!quoted && content.startsWith("}}", i)) {
+      return {
+        start: match.index,
+        end: i + 2,
+        args: content.slice(argsStart, i),
+      };
+    }
   }
+}
 
-  const tasks = await getTasksForPage(page.name);
-  const tags = await getTagsForPage(page.name);
+/** The options that choose where a widget looks for tasks. They belong to the widget,
+ * so presets neither save nor change them. */
+const SCOPE_OPTIONS = ["page", "namespace", "scope"];
 
-  // Get the tags that the user has selected, in the order they selected them
-  const selectedTags = selectedTagNames.map((tagName) =>
-    tags.find((tag) => tag.name === tagName),
-  );
-  // Get the tasks that have all the selected tags
-  const tasksWithTags = tasks.filter((task) =>
-    selectedTags.every((tag) =>
-      task["path-refs"].map((obj) => obj.id).includes(tag.id),
+/** The options that change how a widget shows its tasks rather than which tasks it
+ * shows. Saved presets leave them out, and applying a preset keeps them, unless the
+ * preset sets them itself. */
+const WIDGET_OPTIONS = [
+  "render",
+  "limit",
+  "sort",
+  "tag-sort",
+  "show-future",
+  "show-blocked",
+  "pick",
+  "stale",
+  "stale-days",
+];
+
+/** Returns the query without its scope options. */
+function withoutScopeOptions(query) {
+  const options = Object.fromEntries(
+    Object.entries(query.options).filter(
+      ([key]) => !SCOPE_OPTIONS.includes(key),
     ),
   );
-  // Filter out the tasks with causal dependencies
-  const dependentTaskIDs = await getDependentTaskIDs(tasksWithTags);
-  const filteredTasks = tasksWithTags.filter(
-    (task) => !dependentTaskIDs.has(task.id),
+  return { ...query, options };
+}
+
+/** Returns the filter of the query: its terms, properties and options, without the
+ * scope options and the widget options. */
+function getQueryFilter(query) {
+  const options = Object.fromEntries(
+    Object.entries(query.options).filter(
+      ([key]) => !SCOPE_OPTIONS.includes(key) && !WIDGET_OPTIONS.includes(key),
+    ),
   );
-  // Get the properties of those tasks
-  const taskProperties = new Set(
-    filteredTasks.map((task) => task["properties-order"]).flat(),
+  return { ...query, options };
+}
+
+/** Get the filter presets from the settings, as a list of { name, args } sorted by
+ * name, where `args` are the renderer arguments of the preset. */
+function getPresets() {
+  const presets = logseq.settings?.filterPresets;
+  if (!presets || typeof presets !== "object") return [];
+  return Object.entries(presets)
+    .filter(([, args]) => typeof args === "string")
+    .map(([name, args]) => ({ name, args }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Returns the name of the preset whose filter is the filter of the query, if any,
+ * i.e. the preset that wouldn't change the query if it was applied. */
+function getActivePreset(query) {
+  // Options that were kept come first when a preset is applied
+  const normalize = (other) =>
+    serializeQuery({
+      ...other,
+      options: Object.fromEntries(
+        Object.entries(other.options).sort(([a], [b]) => a.localeCompare(b)),
+      ),
+    });
+  const args = normalize(query);
+  const preset = getPresets().find(
+    (preset) => normalize(applyPresetToQuery(query, preset)) === args,
   );
+  return preset?.name;
+}
 
-  // Get the tags in the filtered tasks that are not selected or
-  // are otherwise undesirable
-  const remainingTags = tags.filter((tag) => {
-    // Filter out selected tags
-    if (selectedTagNames.includes(tag.name)) return false;
-    // Filter out tags that are properties of the tasks
-    if (taskProperties.has(tag.name)) return false;
-    // Filter out the current page
-    if (tag.uuid === page.uuid) return false;
-    // Filter out "todo" and "doing" tags
-    if (tag.name === "todo" || tag.name === "doing") return false;
-    // Filter out journal tags
-    if (tag["journal?"]) return false;
-    // Filter out tags that should be ignored in settings
-    if (
-      logseq.settings.tagsToIgnore.toLowerCase().split(",").includes(tag.name)
-    )
-      return false;
-    // Filter out tags that are not in the filtered tasks
-    if (
-      !filteredTasks.some((task) =>
-        task["path-refs"].map((obj) => obj.id).includes(tag.id),
-      )
-    )
-      return false;
+/** Replace the filter of the query with the filter of a preset, keeping the scope
+ * options of the query, and the widget options that the preset doesn't set. Returns
+ * the updated query. */
+function applyPresetToQuery(query, preset) {
+  const presetQuery = withoutScopeOptions(parseQueryArguments(preset.args));
+  const keptOptions = Object.fromEntries(
+    Object.entries(query.options).filter(
+      ([key]) =>
+        SCOPE_OPTIONS.includes(key) ||
+        (WIDGET_OPTIONS.includes(key) && !(key in presetQuery.options)),
+    ),
+  );
+  return {
+    ...presetQuery,
+    options: { ...keptOptions, ...presetQuery.options },
+  };
+}
 
-    return true;
-  });
+/** Save the filter of the query (see getQueryFilter) as the preset `name` in the
+ * settings, replacing any preset with the same name. */
+function savePreset(name, query) {
+  const presets = Object.fromEntries(
+    getPresets().map((preset) => [preset.name, preset.args]),
+  );
+  presets[name] = serializeQuery(getQueryFilter(query));
+  logseq.updateSettings({ filterPresets: presets });
+}
 
-  // Sort the tags by name
-  remainingTags.sort((a, b) => a.name.localeCompare(b.name));
+/** Select the value of a property facet if it isn't selected, and unselect it otherwise.
+ * Returns the updated query. */
+function togglePropertyInQuery(query, key, value) {
+  const matches = (property) =>
+    property.key === key &&
+    property.value.toLowerCase() === value.toLowerCase();
+  const properties = query.properties.some(matches)
+    ? query.properties.filter((property) => !matches(property))
+    : [...query.properties, { key, value }];
+  return { ...query, properties };
+}
 
-  return { selectedTags, remainingTags, filteredTasks };
+/** Parse a list of task markers separated by commas, pipes or spaces, e.g. "TODO, DOING".
+ * Anything that doesn't look like a marker is dropped. */
+function parseMarkers(text) {
+  return (text || "")
+    .toUpperCase()
+    .split(/[\s,|]+/)
+    .filter((marker) => /^[A-Z][A-Z_-]*$/.test(marker));
 }
 
-/** Given a list of tasks, use task enumeration to identify *causal dependencies*.
- * Return the set of IDs for tasks that depend on other tasks. */
-async function getDependentTaskIDs(tasks) {
-  // Get the ancestors of each task
-  const ancestors = {};
-  for (const task of tasks) {
-    ancestors[task.id] = await getAncestors(task);
-    //console.log(
-    //  `Ancestors of "${task.content.slice(0, 25)}...":`,
-    //  ancestors[task.id],
-    //);
-  }
-
-  //console.log("Checking tasks for dependencies...", tasks);
-  // For each pair of tasks, check if one depends on the other
-  const dependentTaskIDs = new Set();
-  for (let i = 0; i < tasks.length; i++) {
-    for (let j = i + 1; j < tasks.length; j++) {
-      const t1 = tasks[i];
-      const t2 = tasks[j];
-      const comparison = compareTasks(t1, t2, ancestors);
-      if (comparison < 0) {
-        // t1 is a dependency of t2
-        //console.log(
-        //  `"${t1.content.slice(0, 25)}..." happens before "${t2.content.slice(0, 25)}..."`,
-        //);
-        dependentTaskIDs.add(t2.id);
-      } else if (comparison > 0) {
-        // t1 depends on t2
-        //console.log(
-        //  `"${t2.content.slice(0, 25)}..." happens before "${t1.content.slice(0, 25)}..."`,
-        //);
-        dependentTaskIDs.add(t1.id);
-      } else {
-        // neither depends on the other
-        // do nothing
-        //console.log(
-        //  `"${t1.content.slice(0, 25)}..." and "${t2.content.slice(0, 25)}..." are independent`,
-        //);
-      }
-    }
-  }
+/** The markers of open tasks configured in the settings. */
+function getDefaultMarkers() {
+  const markers = parseMarkers(logseq.settings.taskMarkers);
+  return markers.length > 0 ? markers : ["TODO", "DOING"];
+}
 
-  //console.log("Filtering out task IDs", dependentTaskIDs);
+/** The markers of the tasks a query shows: the `markers` option if it is set,
+ * and the markers configured in the settings otherwise. */
+function getQueryMarkers(query) {
+  const markers = parseMarkers(getOptionValue(query, "markers"));
+  return markers.length > 0 ? markers : getDefaultMarkers();
+}
 
-  return dependentTaskIDs;
+/** The scope a query pulls its tasks from. One of:
+ * - { type: "current" }: the page the widget is on (the default),
+ * - { type: "page", name }: the page set with `page=...`,
+ * - { type: "namespace", name }: the namespace set with `namespace=...`,
+ * - { type: "graph" }: the whole graph, set with `scope=graph`.
+ */
+function getQueryScope(query) {
+  const scope = getOptionValue(query, "scope");
+  const page = getOptionValue(query, "page");
+  const namespace = getOptionValue(query, "namespace");
+  if (scope && scope.toLowerCase() === "graph") {
+    return { type: "graph" };
+  } else if (page) {
+    return { type: "page", name: page };
+  } else if (namespace && namespace.replace(/\/+$/, "")) {
+    return { type: "namespace", name: namespace.replace(/\/+$/, "") };
+  } else {
+    return { type: "current" };
+  }
 }
 
-/** Returns negative if t1 is a dependency of t2, positive if t1 depends on t2, and
- * returns 0 if neither depends on the other.
- * ancestors is a map from task id to the list of ancestors of that task.
+/** Resolve the pages of a scope returned by getQueryScope. Page scopes get a `page`
+ * field with the page entity, and namespace names are converted to lowercase.
+ * Returns undefined if the page doesn't exist.
  */
-function compareTasks(t1, t2, ancestors) {
-  // If T1 and T2 are ordered blocks and have the same parent then T1 is the dependency
-  // iff T1 is before T2 in the parent's children array.
-  //
-  // Example where T1 is the dependency of T2:
-  // - Parent
-  //   1. T1
-  //   2. ???
-  //   3. T2
-  //
-  // In general, let T1 and T2 be tasks with the nearest common ancestor B.
-  // Let C1 be the child of B that is an ancestor of T1, and let C2 be the child
-  // of B that is an ancestor of T2. (C1 and C2 are the "furthest uncommon ancestors"
-  // of T1 and T2.) Then T1 is the dependency of T2 iff:
-  // 1. C1 is before C2 in B's children array, and
-  // 2. Both C1 and C2 are ordered blocks.
-  //
-  // Example where T1 is the dependency of T2:
-  // - Parent
-  //   1. T1
-  //   2. C2
-  //      - T2  (notice that T2 doesn't have to be a numbered block!)
-  //
-  // Another example:
-  // - Foo
-  //   - Bar
-  //     - Qux (this is the nearest common ancestor of T1 and T2)
-  //       1. ???
-  //       2. C1
-  //          - T1
-  //       3. ???
-  //       4. C2
-  //          - Qux
-  //            - T2
-  //
-  // Edge case: one task is the ancestor of the other. In this case,
-  // counterintuitively, the *descendant* is the dependency.
-
-  // If the tasks are not located on the same page, then they are not dependent.
-  if (t1.page.id !== t2.page.id) {
-    return 0;
-  }
-
-  // If one task is the ancestor of the other, then the descendant is the dependency.
-  if (ancestors[t1.id].some((ancestor) => ancestor.id === t2.id)) {
-    return -1;
-  } else if (ancestors[t2.id].some((ancestor) => ancestor.id === t1.id)) {
-    return 1;
-  }
-
-  // Find the nearest common ancestor of t1 and t2.
-  let nearestCommonAncestor = null;
-  let furthestUncommonAncestor1 = t1;
-  let furthestUncommonAncestor2 = t2;
-  outerLoop: for (const c1 of ancestors[t1.id]) {
-    for (const c2 of ancestors[t2.id]) {
-      // Invariant: furthestUncommonAncestor1 comes before c1 in the ancestors list of t1,
-      // and furthestUncommonAncestor2 comes before c2 in the ancestors list of t2.
-      if (c1.id === c2.id) {
-        nearestCommonAncestor = c1;
-        break outerLoop;
-      }
-      furthestUncommonAncestor2 = c2;
-    }
-    furthestUncommonAncestor1 = c1;
-    furthestUncommonAncestor2 = t2; // reset this!
-  }
-  // Crash if any of these are not defined.
-  if (
-    !nearestCommonAncestor ||
-    !furthestUncommonAncestor1 ||
-    !furthestUncommonAncestor2
-  ) {
-    console.log("no common ancestor:", t1, t2, ancestors);
-    throw new Error("Programming error finding common ancestor of tasks");
-  }
-  // console.log(
-  //   "Tasks",
-  //   t1,
-  //   t2,
-  //   "have nearest common ancestor",
-  //   nearestCommonAncestor,
-  //   "and furthest uncommon ancestors",
-  //   furthestUncommonAncestor1,
-  //   furthestUncommonAncestor2,
-  // );
-
-  // Check if the conditions for T1 being the dependency of T2 are met.
-  if (
-    isOrderedBlock(furthestUncommonAncestor1) &&
-    isOrderedBlock(furthestUncommonAncestor2)
-  ) {
-    // The "children" array is a map of ['uuid', uuid] pairs.
-    const children = nearestCommonAncestor.children.map((c) => c[1]);
-    const index1 = children.indexOf(furthestUncommonAncestor1.uuid);
-    const index2 = children.indexOf(furthestUncommonAncestor2.uuid);
-    if (index1 < index2) {
-      return -1;
-    } else {
-      return 1;
+async function resolveScope(scope) {
+  switch (scope.type) {
+    case "graph":
+      return scope;
+    case "namespace":
+      return { ...scope, name: scope.name.toLowerCase() };
+    case "page": {
+      const page = await logseq.Editor.getPage(scope.name.toLowerCase());
+      if (!page) return;
+      return { ...scope, page };
+    }
+    default: {
+      const page = await getCurrentPageEntity();
+      if (!page) return;
+      return { ...scope, page };
     }
-  } else {
-    return 0;
   }
 }
 
-/** Returns the list of this block's ancestors---more recent ancestors come first.
- * The last ancestor is the page the block is on. */
-async function getAncestors(block) {
-  const ancestors = [];
-  let currentBlock = block;
-  while (!isPage(currentBlock)) {
-    currentBlock =
-      (await logseq.Editor.getBlock(currentBlock.parent.id)) ||
-      (await logseq.Editor.getPage(currentBlock.parent.id));
-    ancestors.push(currentBlock);
+/** Returns the page that is open in the main view, or the page of the block that is
+ * zoomed in. Returns undefined if no page is open, e.g. on the journals. */
+async function getCurrentPageEntity() {
+  let page = await logseq.Editor.getCurrentPage();
+  console.log("page", page);
+  if (page === null || (!page.name && !page.parent)) return;
+  if (!page.name) {
+    page = await logseq.Editor.getPage(page.parent.id);
   }
-  return ancestors;
+  return page || undefined;
 }
 
-/** Returns true iff the block is a page. */
-function isPage(block) {
-  // A page is just a block without a parent.
-  return !block.parent;
+/** How a query shows its tasks: "embed" (as child blocks of the widget) or "inline"
+ * (inside the widget). Set with the `render` option, and in the settings otherwise. */
+function getRenderMode(query) {
+  const mode = (
+    getOptionValue(query, "render") ||
+    logseq.settings.renderMode ||
+    ""
+  )
+    .trim()
+    .toLowerCase();
+  return mode === "inline" ? "inline" : "embed";
 }
 
-/** Checks if the task may have causal dependencies. */
-function isOrderedBlock(block) {
+/** The maximum number of tasks a query shows: the `limit` option if it is a
+ * positive number, and the maxTasks setting otherwise. */
+function getQueryLimit(query) {
+  const limit = parseInt(getOptionValue(query, "limit"), 10);
+  return limit > 0 ? limit : logseq.settings.maxTasks;
+}
+
+/** The names of the tags that a query doesn't offer as chips: the tagsToIgnore
+ * setting, plus the `ignore` option, e.g. `ignore=someday|maybe`. */
+function getIgnoredTagNames(query) {
+  return [
+    ...logseq.settings.tagsToIgnore.toLowerCase().split(","),
+    ...getOptionList(query, "ignore").map((name) => name.toLowerCase()),
+  ];
+}
+
+/** Returns the date as a number of the form yyyymmdd, which is how Logseq stores
+ * the SCHEDULED and DEADLINE dates of blocks. Defaults to today. */
+function toDateNumber(date = new Date()) {
   return (
-    // I have no idea why both of these are possible
-    block.properties["logseq.order-list-type"] === "number" ||
-    block.properties["logseq.orderListType"] === "number"
+    date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate()
   );
 }
 
-/**************************** MAIN *****************************/
+/** Returns the local midnight of a date number of the form yyyymmdd. */
+function fromDateNumber(dateNumber) {
+  const text = String(dateNumber);
+  return new Date(
+    Number(text.slice(0, 4)),
+    Number(text.slice(4, 6)) - 1,
+    Number(text.slice(6, 8)),
+  );
+}
 
-function main() {
-  const getKey = (uuid) => `qquery_${uuid}`;
+/** Formats a date number of the form yyyymmdd as yyyy-mm-dd. */
+function formatDateNumber(dateNumber) {
+  const text = String(dateNumber);
+  return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+}
 
-  /////////////////////////// REGISTER THE COMMAND ///////////////////////////
+/** The date a task is due: its DEADLINE, or its SCHEDULED date if it has no deadline. */
+function getDueDate(task) {
+  return task.deadline || task.scheduled;
+}
 
-  logseq.Editor.registerSlashCommand("Quick query", async () => {
-    const { content, uuid } = await logseq.Editor.getCurrentBlock();
-    await logseq.Editor.insertAtEditingCursor(`{{renderer :qquery}} `);
-    await logseq.Editor.exitEditingMode();
-  });
+/** Returns "overdue" if the task is due before `today`, "today" if it is due
+ * `today`, and null otherwise. */
+function getUrgency(task, today = toDateNumber()) {
+  const due = getDueDate(task);
+  if (!due) return null;
+  if (due < today) return "overdue";
+  if (due === today) return "today";
+  return null;
+}
 
-  ///////////////////////////////// CSS /////////////////////////////////
+/** The number of days since a task's block was last changed (or created), or null if
+ * the block has no timestamps. */
+function getTaskAge(task, now = new Date()) {
+  const touchedAt =
+    task["updated-at"] ||
+    task.updatedAt ||
+    task["created-at"] ||
+    task.createdAt;
+  if (!touchedAt) return null;
+  return Math.floor((now - touchedAt) / (24 * 60 * 60 * 1000));
+}
 
-  logseq.provideStyle(`
-      .qquery {
-        white-space: normal;
-      }
+/** Whether a task wasn't changed for more than `staleDays` days. */
+function isStaleTask(task, staleDays, now = new Date()) {
+  const age = getTaskAge(task, now);
+  return staleDays > 0 && age !== null && age > staleDays;
+}
 
-      .qquery-tag-container {
-        display: flex;
-        flex-wrap: wrap;
-        gap: 8px;
-        color: var(--ls-primary-text-color);
-      }
+/** The order of the tasks of a query, set with the `sort` option. One of:
+ * - "default": overdue and due-today tasks first, otherwise the order the graph
+ *   returns them in,
+ * - "priority": [#A] first, then [#B], [#C], and tasks without a priority last,
+ * - "deadline": the nearest DEADLINE (or SCHEDULED date) first,
+ * - "oldest": the tasks that were created first.
+ * Ties are broken by the default order.
+ */
+const SORT_MODES = ["default", "priority", "deadline", "oldest"];
+function getSortMode(query) {
+  const mode = (getOptionValue(query, "sort") || "").trim().toLowerCase();
+  return SORT_MODES.includes(mode) ? mode : "default";
+}
 
-      .qquery-tag-btn {
-         border: 1px solid var(--ls-border-color);
-         white-space: initial;
-         padding: 2px 8px;
-         border-radius: 16px;
-         cursor: pointer;
-      }
+/** Sort tasks in place according to a sort mode returned by getSortMode. */
+function sortTasks(tasks, mode, today = toDateNumber()) {
+  // Both sorts are stable, so the first one breaks the ties of the second one
+  const urgent = (task) => (getUrgency(task, today) ? 0 : 1);
+  tasks.sort((t1, t2) => urgent(t1) - urgent(t2));
 
-      .qquery-task-count {
-        padding-top: 2px;
-        color: var(--ls-primary-text-color);
-      }
+  const rank = {
+    // Priorities are letters, and A is the most important
+    priority: (task) =>
+      task.priority ? task.priority.charCodeAt(0) : Number.MAX_SAFE_INTEGER,
+    deadline: (task) => getDueDate(task) || Number.MAX_SAFE_INTEGER,
+    oldest: (task) => task["created-at"] || Number.MAX_SAFE_INTEGER,
+  }[mode];
+  if (rank) tasks.sort((t1, t2) => rank(t1) - rank(t2));
+  return tasks;
+}
 
-      .qquery-tag-selected {
-        background-color: var(--ls-selection-background-color);
-      }
-      `);
+/** How much each criterion weighs in the score of a task in the pick mode. */
+const PICK_WEIGHTS = { priority: 3, deadline: 4, age: 1, started: 2 };
 
-  ///////////////////////////////// RENDER /////////////////////////////////
+/** Score how much a task should be done next, as the weighted sum (see PICK_WEIGHTS)
+ * of criteria that each go from 0 to 1:
+ * - priority: 1 for [#A], 2/3 for [#B], 1/3 for [#C], and 0 otherwise,
+ * - deadline: 1 when the task is due today or overdue, down to 0 two weeks ahead,
+ * - age: from 0 for a new task to 1 for a task created a month ago or more,
+ * - started: 1 for the tasks that are already DOING (or NOW).
+ */
+function scoreTask(task, now = new Date()) {
+  const day = 24 * 60 * 60 * 1000;
+  const priority = task.priority
+    ? Math.max(0, 3 - (task.priority.charCodeAt(0) - 65)) / 3
+    : 0;
+  const due = getDueDate(task);
+  const daysLeft = due
+    ? (fromDateNumber(due) - fromDateNumber(toDateNumber(now))) / day
+    : Infinity;
+  const deadline = Math.min(1, Math.max(0, 1 - daysLeft / 14));
+  const createdAt =
+    task["created-at"] ||
+    task.createdAt ||
+    task["updated-at"] ||
+    task.updatedAt;
+  const age = createdAt
+    ? Math.min(1, Math.max(0, (now - createdAt) / (30 * day)))
+    : 0;
+  const started = ["DOING", "NOW"].includes(task.marker) ? 1 : 0;
+  return (
+    PICK_WEIGHTS.priority * priority +
+    PICK_WEIGHTS.deadline * deadline +
+    PICK_WEIGHTS.age * age +
+    PICK_WEIGHTS.started * started
+  );
+}
+
+/** Return the task with the best score (see scoreTask) among the given tasks, leaving
+ * out the ones whose uuid is in `skipped`. Ties go to the task that comes first.
+ * Returns null if there is no task left. */
+function pickNextTask(tasks, skipped = new Set(), now = new Date()) {
+  let best = null;
+  let bestScore = -Infinity;
+  for (const task of tasks) {
+    if (skipped.has(task.uuid)) continue;
+    const score = scoreTask(task, now);
+    if (score > bestScore) {
+      best = task;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** The priorities a query is restricted to, set with the `priority` option, e.g.
+ * `priority=A|B`. Returns an empty list if the query isn't restricted. */
+function getQueryPriorities(query) {
+  return (getOptionValue(query, "priority") || "")
+    .toUpperCase()
+    .split(/[\s,|]+/)
+    .filter((priority) => /^[A-Z]$/.test(priority));
+}
+
+/** The search of a query, set with the `search` option: a text that the content of
+ * the tasks must contain, or a regular expression between slashes, e.g.
+ * `search=/fix(es)? the/`. Both ignore case. Returns a function that tells whether a
+ * task matches, or null if the query doesn't search. */
+function getSearchMatcher(query) {
+  const search = (getOptionValue(query, "search") || "").trim();
+  if (search === "") return null;
+  const regex = search.match(/^\/(.+)\/$/);
+  if (regex) {
+    try {
+      const pattern = new RegExp(regex[1], "i");
+      return (task) => pattern.test(task.content || "");
+    } catch (e) {
+      // Not a valid regular expression, so search for the text as it is
+    }
+  }
+  const text = search.toLowerCase();
+  return (task) => (task.content || "").toLowerCase().includes(text);
+}
+
+/** Whether a query also shows the tasks that are scheduled after today, set with the
+ * `show-future` option. */
+function getShowFuture(query) {
+  return ["true", "yes", "on", "1"].includes(
+    (getOptionValue(query, "show-future") || "").trim().toLowerCase(),
+  );
+}
+
+/** Whether a query also lists the tasks that are blocked by other tasks, greyed out
+ * and with the reasons they are blocked. Set with the `show-blocked` option. */
+function getShowBlocked(query) {
+  return ["true", "yes", "on", "1"].includes(
+    (getOptionValue(query, "show-blocked") || "").trim().toLowerCase(),
+  );
+}
+
+/** The number of days after which a task of a query is stale: the `stale-days` option
+ * if it is a number, and the staleDays setting otherwise. 0 means never. */
+function getStaleDays(query) {
+  const days = parseInt(getOptionValue(query, "stale-days"), 10);
+  return days >= 0 ? days : logseq.settings.staleDays || 0;
+}
+
+/** What a query does with the stale tasks (see isStaleTask), set with the `stale`
+ * option: "show" them with the others (the default), "sink" them to the bottom, or
+ * "hide" them. */
+const STALE_MODES = ["show", "sink", "hide"];
+function getStaleMode(query) {
+  const mode = (getOptionValue(query, "stale") || "").trim().toLowerCase();
+  return STALE_MODES.includes(mode) ? mode : "show";
+}
+
+/** Whether a query shows a single task to do next instead of the list of tasks (see
+ * pickNextTask). Set with the `pick` option. */
+function getPickMode(query) {
+  return ["true", "yes", "on", "1"].includes(
+    (getOptionValue(query, "pick") || "").trim().toLowerCase(),
+  );
+}
+
+/** The order of the tag chips, set with the `tag-sort` option: "name" (the default)
+ * or "count", the tags of the most filtered tasks first. */
+const TAG_SORT_MODES = ["name", "count"];
+function getTagSortMode(query) {
+  const mode = (getOptionValue(query, "tag-sort") || "").trim().toLowerCase();
+  return TAG_SORT_MODES.includes(mode) ? mode : "name";
+}
+
+/** Set the option `key` of the query to `value`, or remove it if `value` is empty.
+ * Returns the updated query. */
+function setQueryOption(query, key, value) {
+  const options = { ...query.options };
+  const text = String(value ?? "").trim();
+  if (text === "") {
+    delete options[key];
+  } else {
+    options[key] = text;
+  }
+  return { ...query, options };
+}
+
+/** Returns true if a change to `block` may change the tasks of a resolved `scope`.
+ * This is conservative for namespaces, since a block only knows the id of its page. */
+function mayAffectScope(block, scope) {
+  switch (scope.type) {
+    case "graph":
+    case "namespace":
+      return true;
+    default: {
+      const pageID = scope.page.id;
+      const pathRefs = block["path-refs"] || block.pathRefs || [];
+      return (
+        block.page?.id === pageID || pathRefs.some((ref) => ref.id === pageID)
+      );
+    }
+  }
+}
+
+/** Toggle whether tasks with `marker` are shown by the query. The last marker
+ * can't be toggled off, and a selection equal to the settings drops the option.
+ * Returns the updated query.
+ */
+function toggleMarkerInQuery(query, marker) {
+  const defaultMarkers = getDefaultMarkers();
+  const selected = getQueryMarkers(query);
+  let markers;
+  if (selected.includes(marker)) {
+    markers = selected.filter((m) => m !== marker);
+    if (markers.length === 0) return query;
+  } else {
+    markers = [...selected, marker];
+  }
+  const options = { ...query.options };
+  if (
+    markers.length === defaultMarkers.length &&
+    markers.every((m) => defaultMarkers.includes(m))
+  ) {
+    delete options.markers;
+  } else {
+    // Keep the markers in the order of the settings, then in the order they were added.
+    const rank = (m) =>
+      defaultMarkers.includes(m)
+        ? defaultMarkers.indexOf(m)
+        : defaultMarkers.length;
+    markers.sort((a, b) => rank(a) - rank(b));
+    options.markers = markers.join("|");
+  }
+  return { ...query, options };
+}
+
+/** Cycle the state of the chip for `tagName` in the query: a tag that is not part
+ * of the query becomes included, an included tag becomes excluded, and an excluded
+ * tag is removed from the query. Clicking a tag in an OR group removes it from the group.
+ * Returns the updated query.
+ */
+function cycleTagInQuery(query, tagName) {
+  const terms = query.terms.map((term) => ({ ...term, tags: [...term.tags] }));
+  const index = terms.findIndex((term) => term.tags.includes(tagName));
+  if (index === -1) {
+    terms.push({ type: "include", tags: [tagName] });
+    return { ...query, terms };
+  }
+  const term = terms[index];
+  if (term.type === "include") {
+    term.type = "exclude";
+  } else if (term.type === "exclude") {
+    terms.splice(index, 1);
+  } else {
+    term.tags.splice(term.tags.indexOf(tagName), 1);
+    if (term.tags.length === 1) term.type = "include";
+  }
+  return { ...query, terms };
+}
+
+/**************************** Fetching tasks *****************************/
+
+/** Resolve the tags in the terms of the query, in the order the user selected them.
+ * Tags that don't occur in `tags` are kept by name. Each resolved tag gets `matchIDs`,
+ * the IDs of the tags it matches: itself and, if it's a namespace, the tags under it. */
+function resolveTerms(query, tags) {
+  const resolveTag = (tagName) => ({
+    ...(tags.find((tag) => tag.name === tagName) || { name: tagName }),
+    matchIDs: getMatchingTagIDs(tags, tagName),
+  });
+  return query.terms.map((term) => ({
+    type: term.type,
+    tags: term.tags.map(resolveTag),
+  }));
+}
+
+/** Get the tasks that satisfy every term (as returned by resolveTerms), have the
+ * selected property values, and have one of the selected priorities. */
+function filterTasksByQuery(tasks, selectedTerms, query) {
+  const priorities = getQueryPriorities(query);
+  return tasks.filter((task) => {
+    if (priorities.length > 0 && !priorities.includes(task.priority)) {
+      return false;
+    }
+    if (
+      !query.properties.every(({ key, value }) =>
+        hasPropertyValue(task, key, value),
+      )
+    ) {
+      return false;
+    }
+    const refIDs = task["path-refs"].map((obj) => obj.id);
+    const hasTag = (tag) => tag.matchIDs.some((id) => refIDs.includes(id));
+    return selectedTerms.every((term) => {
+      switch (term.type) {
+        case "exclude":
+          return !hasTag(term.tags[0]);
+        case "or":
+          return term.tags.some(hasTag);
+        default:
+          return hasTag(term.tags[0]);
+      }
+    });
+  });
+}
+
+/** Given the query parsed from the renderer arguments, return an object with:
+ * - propertyFacets: the properties of the filtered tasks and their values, of the form
+ *   [{ key: "owner", values: [{ value: "alice", selected: true }, ...] }, ...]
+ * - scope: the resolved scope of the query (see getQueryScope and resolveScope)
+ * - blockedTasks: the tasks that satisfy the query but wait for other tasks, each of
+ *   the form { task, reasons } (see getListDependencies and getExplicitDependencies)
+ * - futureTasks: the tasks that satisfy the query but are hidden because they are
+ *   scheduled in the future
+ * - staleTasks: the unblocked tasks that satisfy the query, aren't scheduled in the
+ *   future, and weren't changed for a long time (see getStaleDays), whether the query
+ *   hides them or not
+ * - watchedBlockIDs: the IDs of the tasks in scope and of the tasks they are blocked by,
+ *   i.e. the blocks whose changes may change the result
+ * - dependencyCycles: the cycles of explicit dependencies (see getExplicitDependencies)
+ * - markers: the markers that can be toggled, each of the form { name, selected }
+ * - selectedTerms: the terms of the query, with each tag name resolved to its tag
+ * - remainingTags: the tags in the filtered tasks that are not part of the query
+ * - tagTree: the remaining tags grouped by namespace (see getTagTree), each node with
+ *   the number of filtered tasks it would leave (see countTagTree)
+ * - filteredTasks: the tasks that satisfy every term of the query
+ */
+async function getTagsAndTasks(query) {
+  const scope = await resolveScope(getQueryScope(query));
+  if (!scope) return;
+
+  const selectedMarkers = getQueryMarkers(query);
+  const availableMarkers = [
+    ...new Set([...getDefaultMarkers(), ...selectedMarkers]),
+  ];
+  const markers = availableMarkers.map((name) => ({
+    name,
+    selected: selectedMarkers.includes(name),
+  }));
+  const markerTagNames = availableMarkers.map((marker) => marker.toLowerCase());
+
+  const tasks = await getTasksInScope(scope, selectedMarkers);
+  const tags = await getTagsInScope(scope, selectedMarkers);
+
+  const selectedTerms = resolveTerms(query, tags);
+  const selectedTagNames = query.terms.map((term) => term.tags).flat();
+  const tasksWithTags = filterTasksByQuery(tasks, selectedTerms, query);
+  // Filter out the tasks with causal dependencies, inferred from ordered lists
+  // or declared with blocked-by:: and depends-on:: properties
+  const cache = createRenderCache();
+  const listDependencies = await getListDependencies(tasksWithTags, cache);
+  const { dependencies, dependencyCycles } = await getExplicitDependencies(
+    tasksWithTags,
+    cache,
+  );
+  // Hide the tasks that are scheduled in the future, and the stale tasks if the
+  // query says so. They still block other tasks, so this happens after the
+  // dependency analysis.
+  const today = toDateNumber();
+  const isFuture = (task) => !getShowFuture(query) && task.scheduled > today;
+  const reasonsBlocked = (task) => [
+    ...(listDependencies.get(task.id) || []),
+    ...(dependencies.get(task.id) || []),
+  ];
+  // The search only narrows the tasks that are shown. Tasks that don't match it still
+  // block the ones that do, so this happens after the dependency analysis too.
+  const matchesSearch = getSearchMatcher(query) || (() => true);
+  // Only the tasks that the widget would show can be stale, so that the bulk
+  // actions never touch a task that is blocked or scheduled later
+  const staleDays = getStaleDays(query);
+  const staleTasks = tasksWithTags.filter(
+    (task) =>
+      !(task.scheduled > today) &&
+      reasonsBlocked(task).length === 0 &&
+      matchesSearch(task) &&
+      isStaleTask(task, staleDays),
+  );
+  const staleMode = getStaleMode(query);
+  const currentTasks = tasksWithTags.filter(
+    (task) =>
+      !isFuture(task) &&
+      !(staleMode === "hide" && staleTasks.includes(task)) &&
+      matchesSearch(task),
+  );
+  const filteredTasks = currentTasks.filter(
+    (task) => reasonsBlocked(task).length === 0,
+  );
+  sortTasks(filteredTasks, getSortMode(query), today);
+  if (staleMode === "sink") {
+    const stale = (task) => (staleTasks.includes(task) ? 1 : 0);
+    filteredTasks.sort((t1, t2) => stale(t1) - stale(t2));
+  }
+  const blockedTasks = currentTasks
+    .filter((task) => reasonsBlocked(task).length > 0)
+    .map((task) => ({ task, reasons: reasonsBlocked(task) }));
+  const futureTasks = tasksWithTags.filter(
+    (task) => isFuture(task) && matchesSearch(task),
+  );
+  // Offer the property values of the filtered tasks as facets, and keep the
+  // selected ones even if no task has them anymore
+  const facets = getPropertyFacets(filteredTasks);
+  for (const { key, value } of query.properties) {
+    if (!facets.has(key)) facets.set(key, []);
+    if (!facets.get(key).some((v) => v.toLowerCase() === value.toLowerCase())) {
+      facets.get(key).push(value);
+    }
+  }
+  const propertyFacets = [...facets].map(([key, values]) => ({
+    key,
+    values: values.map((value) => ({
+      value,
+      selected: query.properties.some(
+        (property) =>
+          property.key === key &&
+          property.value.toLowerCase() === value.toLowerCase(),
+      ),
+    })),
+  }));
+
+  // Get the properties of those tasks
+  const taskProperties = new Set(
+    filteredTasks.map((task) => task["properties-order"]).flat(),
+  );
+
+  // Get the tags in the filtered tasks that are not selected or
+  // are otherwise undesirable
+  const ignoredTagNames = getIgnoredTagNames(query);
+  const remainingTags = tags.filter((tag) => {
+    // Filter out tags that are already part of the query
+    if (selectedTagNames.includes(tag.name)) return false;
+    // Filter out tags that are properties of the tasks
+    if (taskProperties.has(tag.name)) return false;
+    // Filter out the page or namespace that the query is scoped to
+    if (scope.page && tag.uuid === scope.page.uuid) return false;
+    if (scope.type === "namespace" && tag.name === scope.name) return false;
+    // Filter out the task markers, e.g. "todo" and "doing"
+    if (markerTagNames.includes(tag.name)) return false;
+    // Filter out journal tags
+    if (tag["journal?"]) return false;
+    // Filter out tags that should be ignored in settings or in the query
+    if (ignoredTagNames.includes(tag.name)) return false;
+    // Filter out tags that are not in the filtered tasks
+    if (
+      !filteredTasks.some((task) =>
+        task["path-refs"].map((obj) => obj.id).includes(tag.id),
+      )
+    )
+      return false;
+
+    return true;
+  });
+
+  // Sort the tags by name
+  remainingTags.sort((a, b) => a.name.localeCompare(b.name));
+  // Namespaces that were filtered out above can't be selected from the tree
+  const tagTree = getTagTree(remainingTags, [
+    ...selectedTagNames,
+    ...ignoredTagNames,
+    ...markerTagNames,
+    ...(scope.page ? [scope.page.name] : []),
+    ...(scope.type === "namespace" ? [scope.name] : []),
+  ]);
+  countTagTree(tagTree, tags, filteredTasks, getTagSortMode(query));
+
+  // Changes to any of these tasks may change the result
+  const watchedBlockIDs = new Set([
+    ...tasks.map((task) => task.id),
+    ...[...cache.blocksByUuid.values()]
+      .filter((block) => block)
+      .map((block) => block.id),
+    ...[...cache.pageTasks.values()].flat().map((task) => task.id),
+  ]);
+
+  return {
+    scope,
+    propertyFacets,
+    blockedTasks,
+    futureTasks,
+    staleTasks,
+    watchedBlockIDs,
+    dependencyCycles,
+    markers,
+    selectedTerms,
+    remainingTags,
+    tagTree,
+    filteredTasks,
+  };
+}
+
+/** Create the cache shared by the queries of a single render, so that each block,
+ * ancestor path and list of children is fetched at most once per render. */
+function createRenderCache() {
+  return {
+    // Map from task id to the path [page, ..., parent, task]; see getAncestorPaths
+    ancestorPaths: new Map(),
+    // Map from block id to the position of the block among its siblings
+    siblingIndex: new Map(),
+    // Map from uuid to the block with that uuid, or null if there is none
+    blocksByUuid: new Map(),
+    // Map from page name to all the tasks on that page
+    pageTasks: new Map(),
+  };
+}
+
+/** Given a list of tasks, use task enumeration to identify *causal dependencies*.
+ * Return a map from the ID of each task that depends on other tasks to the reasons
+ * it does, each of which is one of:
+ * - { type: "subtask", blockers: [T1] }: the task is an ancestor of the task T1,
+ * - { type: "list", blockers, commonAncestor, blockerAncestor, taskAncestor }: the task
+ *   is below the ordered block `taskAncestor` (C2 below), which comes right after the
+ *   ordered block `blockerAncestor` (C1 below) with the `blockers` below it, and both
+ *   are children of `commonAncestor` (B below).
+ *
+ * If T1 and T2 are ordered blocks and have the same parent then T2 depends on T1
+ * iff T1 is before T2 in the parent's children array.
+ *
+ * Example where T1 is the dependency of T2:
+ * - Parent
+ *   1. T1
+ *   2. ???
+ *   3. T2
+ *
+ * In general, let T1 and T2 be tasks with the nearest common ancestor B.
+ * Let C1 be the child of B that is an ancestor of T1, and let C2 be the child
+ * of B that is an ancestor of T2. (C1 and C2 are the "furthest uncommon ancestors"
+ * of T1 and T2.) Then T1 is the dependency of T2 iff:
+ * 1. C1 is before C2 in B's children array, and
+ * 2. Both C1 and C2 are ordered blocks.
+ *
+ * Example where T1 is the dependency of T2:
+ * - Parent
+ *   1. T1
+ *   2. C2
+ *      - T2  (notice that T2 doesn't have to be a numbered block!)
+ *
+ * Another example:
+ * - Foo
+ *   - Bar
+ *     - Qux (this is the nearest common ancestor of T1 and T2)
+ *       1. ???
+ *       2. C1
+ *          - T1
+ *       3. ???
+ *       4. C2
+ *          - Qux
+ *            - T2
+ *
+ * Edge case: one task is the ancestor of the other. In this case,
+ * counterintuitively, the *descendant* is the dependency.
+ *
+ * Tasks on different pages never depend on each other this way.
+ *
+ * Rather than comparing every pair of tasks, the tasks are grouped by their
+ * ancestors: a task is dependent iff it has another task as a descendant, or it is
+ * below an ordered child C2 of some block B such that an earlier ordered child C1 of
+ * B has a task below it. So for every block B, the tasks below all but the first of
+ * B's ordered children (among those that have tasks below them) are dependent.
+ */
+async function getListDependencies(tasks, cache = createRenderCache()) {
+  const paths = await getAncestorPaths(tasks, cache);
+  const taskByID = new Map(tasks.map((task) => [task.id, task]));
+
+  // Map from the id of each dependent task to the reasons it depends on other tasks
+  const dependencies = new Map();
+  const addReason = (taskID, reason) => {
+    if (!dependencies.has(taskID)) dependencies.set(taskID, []);
+    dependencies.get(taskID).push(reason);
+  };
+  // Map from block id to the IDs of the tasks below it (including itself)
+  const tasksBelow = new Map();
+  // Map from block id to the children of the block that have tasks below them
+  const childrenWithTasks = new Map();
+  for (const task of tasks) {
+    const path = paths.get(task.id);
+    if (!path) continue;
+    path.forEach((block, i) => {
+      // A task that is an ancestor of another task depends on it.
+      if (i < path.length - 1 && taskByID.has(block.id)) {
+        addReason(block.id, { type: "subtask", blockers: [task] });
+      }
+      if (!tasksBelow.has(block.id)) tasksBelow.set(block.id, []);
+      tasksBelow.get(block.id).push(task.id);
+      if (i > 0) {
+        const parentID = path[i - 1].id;
+        if (!childrenWithTasks.has(parentID)) {
+          childrenWithTasks.set(parentID, new Map());
+        }
+        childrenWithTasks.get(parentID).set(block.id, block);
+      }
+    });
+  }
+
+  // Find the blocks with more than one ordered child that has tasks below it
+  const orderedChildren = new Map();
+  for (const [parentID, children] of childrenWithTasks) {
+    const ordered = [...children.values()].filter(isOrderedBlock);
+    if (ordered.length > 1) orderedChildren.set(parentID, ordered);
+  }
+  await getSiblingIndices([...orderedChildren.keys()], cache);
+
+  // Everything below the ordered children after the first one is dependent.
+  // The parent is the nearest common ancestor of the tasks below two of its
+  // children, and those children are their furthest uncommon ancestors. To keep
+  // this linear, only the previous ordered child is given as the reason.
+  for (const [parentID, ordered] of orderedChildren) {
+    const index = (child) => cache.siblingIndex.get(child.id) ?? 0;
+    ordered.sort((c1, c2) => index(c1) - index(c2));
+    const commonAncestor = paths
+      .get(tasksBelow.get(parentID)[0])
+      .find((block) => block.id === parentID);
+    for (let i = 1; i < ordered.length; i++) {
+      const blockerAncestor = ordered[i - 1];
+      const taskAncestor = ordered[i];
+      const blockers = tasksBelow
+        .get(blockerAncestor.id)
+        .map((id) => taskByID.get(id));
+      for (const taskID of tasksBelow.get(taskAncestor.id)) {
+        addReason(taskID, {
+          type: "list",
+          blockers,
+          commonAncestor,
+          blockerAncestor,
+          taskAncestor,
+        });
+      }
+    }
+  }
+
+  return dependencies;
+}
+
+/** Fetch the ancestors of all the tasks with a single query.
+ * Returns a map from task id to the path [page, ..., parent, task] of blocks from
+ * the page the task is on down to the task. The blocks in the path only have the
+ * fields id, uuid, content, name and original-name (for the page), and properties. */
+async function getAncestorPaths(tasks, cache) {
+  const missing = tasks.filter((task) => !cache.ancestorPaths.has(task.id));
+  if (missing.length > 0) {
+    let ret;
+    try {
+      ret = await logseq.DB.datascriptQuery(
+        `
+        [:find (pull ?block [:db/id :block/uuid :block/content :block/name
+                             :block/original-name :block/properties
+                             {:block/parent ...}])
+         :in $ [?block ...]
+         :where
+         [?block :block/uuid]
+        ]
+      `,
+        `[${missing.map((task) => task.id).join(" ")}]`,
+      );
+    } catch (e) {
+      console.error(e);
+    }
+    for (const block of (ret || []).flat()) {
+      const path = [];
+      for (let b = block; b; b = b.parent) path.unshift(b);
+      cache.ancestorPaths.set(block.id, path);
+    }
+  }
+
+  const paths = new Map();
+  for (const task of tasks) {
+    if (cache.ancestorPaths.has(task.id)) {
+      paths.set(task.id, cache.ancestorPaths.get(task.id));
+    }
+  }
+  return paths;
+}
+
+/** Fetch the children of all the given blocks with a single query, and record the
+ * position of each child among its siblings in `cache.siblingIndex`. */
+async function getSiblingIndices(parentIDs, cache) {
+  if (parentIDs.length === 0) return;
+  let ret;
+  try {
+    ret = await logseq.DB.datascriptQuery(
+      `
+      [:find (pull ?child [:db/id :block/left :block/parent])
+       :in $ [?parent ...]
+       :where
+       [?child :block/parent ?parent]
+      ]
+    `,
+      `[${parentIDs.join(" ")}]`,
+    );
+  } catch (e) {
+    console.error(e);
+  }
+
+  // Each block points to its left sibling, or to its parent if it is the first child.
+  const childByLeftID = new Map();
+  for (const child of (ret || []).flat()) {
+    childByLeftID.set(`${child.parent.id}:${child.left.id}`, child);
+  }
+  for (const parentID of parentIDs) {
+    let index = 0;
+    let child = childByLeftID.get(`${parentID}:${parentID}`);
+    while (child) {
+      cache.siblingIndex.set(child.id, index++);
+      child = childByLeftID.get(`${parentID}:${child.id}`);
+    }
+  }
+}
+
+/** Checks if the task may have causal dependencies. */
+function isOrderedBlock(block) {
+  const properties = block.properties || {};
+  return (
+    // I have no idea why both of these are possible
+    properties["logseq.order-list-type"] === "number" ||
+    properties["logseq.orderListType"] === "number"
+  );
+}
+
+/************************ Explicit dependencies *************************/
+
+/** The block properties that declare the tasks a task is waiting for, e.g.
+ * `blocked-by:: ((uuid))` or `depends-on:: [[Some page]]`. */
+const DEPENDENCY_PROPERTIES = ["blocked-by", "depends-on"];
+
+/** The markers of tasks that no longer block anything. */
+const FINISHED_MARKERS = ["DONE", "CANCELED", "CANCELLED"];
+
+/** Returns the blocks and pages referenced by the dependency properties of `block`,
+ * as an object { properties: [...], blockUuids: [...], pageNames: [...] } where
+ * `properties` are the dependency properties the block has. Page names are in lowercase.
+ */
+function getDependencyRefs(block) {
+  const keys = [];
+  const blockUuids = [];
+  const pageNames = [];
+  const properties = block.properties || {};
+  for (const key of DEPENDENCY_PROPERTIES) {
+    // Datascript queries return property keys as written, while the
+    // Editor API converts them to camelCase.
+    const camelKey = key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const value = properties[key] ?? properties[camelKey];
+    if (value === undefined || value === null) continue;
+    keys.push(key);
+    // Page references are parsed into a list of page names, while
+    // block references are kept as a string like "((uuid))".
+    const values = Array.isArray(value) ? value : [value];
+    for (const v of values) {
+      const text = String(v);
+      const uuids = [...text.matchAll(/\(\(([0-9a-f-]{36})\)\)/g)].map(
+        (m) => m[1],
+      );
+      const pages = [...text.matchAll(/\[\[([^\]]+)\]\]/g)].map((m) => m[1]);
+      blockUuids.push(...uuids);
+      pageNames.push(...pages);
+      if (uuids.length === 0 && pages.length === 0) {
+        pageNames.push(
+          ...text
+            .split(",")
+            .map((name) => name.trim().replace(/^#/, ""))
+            .filter((name) => name !== ""),
+        );
+      }
+    }
+  }
+  return {
+    properties: keys,
+    blockUuids: [...new Set(blockUuids)],
+    pageNames: [...new Set(pageNames.map((name) => name.toLowerCase()))],
+  };
+}
+
+/** Returns true iff the block is a task that isn't DONE or CANCELED. */
+function isOpenTask(block) {
+  return !!block?.marker && !FINISHED_MARKERS.includes(block.marker);
+}
+
+/** Given a list of tasks, use their dependency properties to identify the tasks that
+ * are waiting for other tasks. A task is blocked until every task it references is
+ * DONE or CANCELED. Referencing a page means referencing every task on that page.
+ * Return an object with:
+ * - dependencies: a map from the ID of each blocked task to the reasons it is blocked,
+ *   of the form [{ type: "property", properties: ["blocked-by"], blockers: [...] }]
+ * - dependencyCycles: the cycles of open tasks that wait for each other, each a list
+ *   of tasks where every task is blocked by the next one (and the last by the first)
+ * With `includeFinished`, referenced tasks that are DONE or CANCELED count as blockers
+ * too, which is how the dependency graph shows the work that is already finished.
+ */
+async function getExplicitDependencies(
+  tasks,
+  cache = createRenderCache(),
+  { includeFinished = false } = {},
+) {
+  const isBlocker = includeFinished ? (block) => !!block?.marker : isOpenTask;
+  // Map from uuid to the tasks that the block with that uuid is waiting for
+  const blockersCache = new Map();
+  async function getBlockers(block) {
+    if (blockersCache.has(block.uuid)) return blockersCache.get(block.uuid);
+    const { blockUuids, pageNames } = getDependencyRefs(block);
+    const blockers = [];
+    for (const uuid of blockUuids) {
+      if (!cache.blocksByUuid.has(uuid)) {
+        cache.blocksByUuid.set(uuid, await logseq.Editor.getBlock(uuid));
+      }
+      const ref = cache.blocksByUuid.get(uuid);
+      if (isBlocker(ref)) blockers.push(ref);
+    }
+    for (const pageName of pageNames) {
+      if (!cache.pageTasks.has(pageName)) {
+        cache.pageTasks.set(pageName, await getAllTasksOnPage(pageName));
+      }
+      // A task on the page it depends on doesn't wait for itself
+      blockers.push(
+        ...cache.pageTasks
+          .get(pageName)
+          .filter((other) => other.id !== block.id && isBlocker(other)),
+      );
+    }
+    blockersCache.set(block.uuid, blockers);
+    return blockers;
+  }
+
+  const dependencies = new Map();
+  for (const task of tasks) {
+    const blockers = await getBlockers(task);
+    if (blockers.length > 0) {
+      const { properties } = getDependencyRefs(task);
+      dependencies.set(task.id, [{ type: "property", properties, blockers }]);
+    }
+  }
+
+  // Look for cycles with a depth-first search through the blockers. The blockers
+  // may be outside the list of tasks, e.g. on other pages.
+  const dependencyCycles = [];
+  const visited = new Map(); // uuid -> "visiting" | "done"
+  const stack = [];
+  async function visit(block) {
+    visited.set(block.uuid, "visiting");
+    stack.push(block);
+    for (const blocker of await getBlockers(block)) {
+      const state = visited.get(blocker.uuid);
+      if (state === "visiting") {
+        const start = stack.findIndex((b) => b.uuid === blocker.uuid);
+        dependencyCycles.push(stack.slice(start));
+      } else if (state === undefined) {
+        await visit(blocker);
+      }
+    }
+    stack.pop();
+    visited.set(block.uuid, "done");
+  }
+  for (const task of tasks) {
+    if (!visited.has(task.uuid)) await visit(task);
+  }
+  if (dependencyCycles.length > 0) {
+    console.warn("Quick query found dependency cycles:", dependencyCycles);
+  }
+
+  return { dependencies, dependencyCycles };
+}
+
+/************************** Dependency graph ***************************/
+
+/** Given the query parsed from the renderer arguments, return the dependency graph of
+ * the tasks it selects, as an object { nodes: [...tasks], edges: [{ from, to, type }] }.
+ * Unlike the widget, the graph includes the DONE and CANCELED tasks of the scope, and
+ * every task that blocks a task in the graph, even when it's outside the scope or
+ * doesn't match the search.
+ * Each edge goes from the ID of a blocker to the ID of the task it blocks, and its
+ * type is the type of the reason: "subtask", "list" or "property".
+ */
+async function getDependencyGraph(query) {
+  const scope = await resolveScope(getQueryScope(query));
+  if (!scope) return;
+
+  const markers = [
+    ...new Set([...getQueryMarkers(query), ...FINISHED_MARKERS]),
+  ];
+  const tasks = await getTasksInScope(scope, markers);
+  const tags = await getTagsInScope(scope, markers);
+  const graphTasks = filterTasksByQuery(
+    tasks,
+    resolveTerms(query, tags),
+    query,
+  );
+
+  const cache = createRenderCache();
+  const listDependencies = await getListDependencies(graphTasks, cache);
+  const { dependencies } = await getExplicitDependencies(graphTasks, cache, {
+    includeFinished: true,
+  });
+
+  // Like in the widget, the search only narrows the tasks after the dependency
+  // analysis, and the tasks that block them are drawn even if they don't match it
+  const matchesSearch = getSearchMatcher(query) || (() => true);
+  const matchingTasks = graphTasks.filter(matchesSearch);
+  const matchingIDs = new Set(matchingTasks.map((task) => task.id));
+  const nodes = new Map(matchingTasks.map((task) => [task.id, task]));
+  const edges = new Map();
+  for (const [id, reasons] of [...listDependencies, ...dependencies]) {
+    if (!matchingIDs.has(id)) continue;
+    for (const reason of reasons) {
+      for (const blocker of reason.blockers) {
+        if (!nodes.has(blocker.id)) nodes.set(blocker.id, blocker);
+        const key = `${blocker.id}-${id}`;
+        if (!edges.has(key)) {
+          edges.set(key, { from: blocker.id, to: id, type: reason.type });
+        }
+      }
+    }
+  }
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+/** Lay out a graph returned by getDependencyGraph from left to right. Each node is
+ * placed in the column after the last of its blockers, and the nodes in a column are
+ * ordered by the average row of their blockers, to keep edges short. Edges that close
+ * a cycle are ignored when placing the nodes.
+ * Returns a map from node ID to its position { column, row }.
+ */
+function layoutDependencyGraph({ nodes, edges }) {
+  const blockersOf = new Map(nodes.map((node) => [node.id, []]));
+  for (const { from, to } of edges) blockersOf.get(to)?.push(from);
+
+  const columns = new Map();
+  const visiting = new Set();
+  function getColumn(id) {
+    if (columns.has(id)) return columns.get(id);
+    if (visiting.has(id)) return -1; // Back edge of a cycle
+    visiting.add(id);
+    const blockers = blockersOf.get(id) || [];
+    const column = Math.max(-1, ...blockers.map(getColumn)) + 1;
+    visiting.delete(id);
+    columns.set(id, column);
+    return column;
+  }
+  nodes.forEach((node) => getColumn(node.id));
+
+  const positions = new Map();
+  const columnCount = Math.max(-1, ...columns.values()) + 1;
+  for (let column = 0; column < columnCount; column++) {
+    const ids = nodes
+      .map((node) => node.id)
+      .filter((id) => columns.get(id) === column);
+    const weight = (id) => {
+      const rows = blockersOf
+        .get(id)
+        .filter((blocker) => positions.has(blocker))
+        .map((blocker) => positions.get(blocker).row);
+      return rows.length > 0
+        ? rows.reduce((a, b) => a + b, 0) / rows.length
+        : Infinity;
+    };
+    // Array.prototype.sort is stable, so unconnected nodes keep their order
+    const weights = new Map(ids.map((id) => [id, weight(id)]));
+    ids.sort((a, b) => {
+      const wa = weights.get(a);
+      const wb = weights.get(b);
+      return wa === wb ? 0 : wa < wb ? -1 : 1;
+    });
+    ids.forEach((id, row) => positions.set(id, { column, row }));
+  }
+  return positions;
+}
+
+/***************************** Task actions ******************************/
+
+/** The marker a task gets when it's started or stopped from the widget. */
+const NEXT_MARKERS = {
+  TODO: "DOING",
+  DOING: "TODO",
+  LATER: "NOW",
+  NOW: "LATER",
+};
+
+/** Returns the content of a block whose marker is `marker`, with the marker
+ * replaced by `newMarker`. */
+function replaceMarker(content, marker, newMarker) {
+  return content.replace(new RegExp(`^${marker}(?=\\s|$)`), newMarker);
+}
+
+/** The tag that the stale tasks can be moved to from the widget. */
+const SOMEDAY_TAG = "someday";
+
+/** Returns the content of a block with the tag `name` added at the end of its first
+ * line, unless the block already references it. */
+function addTag(content, name) {
+  const tag = /^[^\s,#\[\]]+$/.test(name) ? `#${name}` : `#[[${name}]]`;
+  const [firstLine, ...rest] = content.split("\n");
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const tagged = new RegExp(
+    `(#|\\[\\[)${escaped}(?=$|[\\s\\],.!?;:])`,
+    "i",
+  ).test(firstLine);
+  if (tagged) return content;
+  return [`${firstLine} ${tag}`, ...rest].join("\n");
+}
+
+/** Formats a date number of the form yyyymmdd the way Logseq writes SCHEDULED and
+ * DEADLINE dates, e.g. <2024-08-24 Sat>. */
+function formatLogseqDate(dateNumber) {
+  const date = fromDateNumber(dateNumber);
+  const weekday = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][
+    date.getDay()
+  ];
+  return `<${formatDateNumber(dateNumber)} ${weekday}>`;
+}
+
+/** Returns the content of a block with its SCHEDULED date set to `dateNumber`. Like
+ * Logseq, replace the SCHEDULED line if there is one, or add it after the first line. */
+function replaceScheduledDate(content, dateNumber) {
+  const line = `SCHEDULED: ${formatLogseqDate(dateNumber)}`;
+  const lines = content.split("\n");
+  const index = lines.findIndex((l) => l.trim().startsWith("SCHEDULED:"));
+  if (index === -1) {
+    lines.splice(1, 0, line);
+  } else {
+    lines[index] = line;
+  }
+  return lines.join("\n");
+}
+
+/******************************** Export *********************************/
+
+/** The formats that tasks can be exported to, with the extension and the MIME type
+ * of the exported file. */
+const EXPORT_FORMATS = {
+  markdown: { label: "Markdown", extension: "md", type: "text/markdown" },
+  csv: { label: "CSV", extension: "csv", type: "text/csv" },
+  ics: { label: "iCalendar", extension: "ics", type: "text/calendar" },
+};
+
+/** Export tasks in one of the EXPORT_FORMATS. `pages` maps the IDs of the pages of
+ * the tasks, and of the pages they reference, to the pages (see getPagesByID). */
+function exportTasks(tasks, format, pages) {
+  switch (format) {
+    case "csv":
+      return tasksToCsv(tasks, pages);
+    case "ics":
+      return tasksToICalendar(tasks);
+    default:
+      return tasksToMarkdown(tasks, pages);
+  }
+}
+
+/** The name of a page as the user wrote it. */
+function pageTitle(page) {
+  return page?.["original-name"] || page?.name || "";
+}
+
+/** The names of the pages that a task references, without its marker. */
+function taskTags(task, pages) {
+  return (task.refs || [])
+    .map((ref) => pages.get(ref.id))
+    .filter((page) => page && page.name !== task.marker.toLowerCase())
+    .map(pageTitle);
+}
+
+/** A Markdown checklist, e.g. "- [ ] Write the report ([[Project X]])". */
+function tasksToMarkdown(tasks, pages) {
+  return tasks
+    .map((task) => {
+      const page = pageTitle(pages.get(task.page?.id));
+      const title = taskTitle(task, Infinity);
+      return `- [ ] ${title}${page ? ` ([[${page}]])` : ""}`;
+    })
+    .join("\n");
+}
+
+/** A CSV table with a row per task, and the columns content, marker, page, tags,
+ * scheduled and deadline. */
+function tasksToCsv(tasks, pages) {
+  const cell = (value) => {
+    const text = String(value ?? "");
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const date = (dateNumber) => (dateNumber ? formatDateNumber(dateNumber) : "");
+  const rows = tasks.map((task) => [
+    taskTitle(task, Infinity),
+    task.marker,
+    pageTitle(pages.get(task.page?.id)),
+    taskTags(task, pages).join("; "),
+    date(task.scheduled),
+    date(task.deadline),
+  ]);
+  return [
+    ["content", "marker", "page", "tags", "scheduled", "deadline"],
+    ...rows,
+  ]
+    .map((row) => row.map(cell).join(","))
+    .join("\r\n");
+}
+
+/** An iCalendar file with a VTODO for each task that has a SCHEDULED or DEADLINE date.
+ * The SCHEDULED date becomes the start of the to-do and the DEADLINE its due date. */
+function tasksToICalendar(tasks, now = new Date()) {
+  const text = (value) =>
+    value.replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\n/g, "\\n");
+  // Lines longer than 75 octets are folded onto lines that start with a space, which
+  // counts towards the 75 octets. The lines are only split between characters.
+  const utf8Length = (char) => {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  };
+  const fold = (line) => {
+    const lines = [];
+    let current = "";
+    let length = 0;
+    for (const char of line) {
+      const limit = lines.length === 0 ? 75 : 74;
+      if (length + utf8Length(char) > limit) {
+        lines.push(current);
+        current = "";
+        length = 0;
+      }
+      current += char;
+      length += utf8Length(char);
+    }
+    lines.push(current);
+    return lines.join("\r\n ");
+  };
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const status = (marker) =>
+    ["DOING", "NOW", "IN-PROGRESS"].includes(marker)
+      ? "IN-PROCESS"
+      : "NEEDS-ACTION";
+  const todos = tasks
+    .filter((task) => task.scheduled || task.deadline)
+    .map((task) => [
+      "BEGIN:VTODO",
+      `UID:${task.uuid}`,
+      `DTSTAMP:${stamp}`,
+      `SUMMARY:${text(taskTitle(task, Infinity))}`,
+      ...(task.scheduled ? [`DTSTART;VALUE=DATE:${task.scheduled}`] : []),
+      ...(task.deadline ? [`DUE;VALUE=DATE:${task.deadline}`] : []),
+      ...(task.priority
+        ? [`PRIORITY:${{ A: 1, B: 5, C: 9 }[task.priority] || 0}`]
+        : []),
+      `STATUS:${status(task.marker)}`,
+      "END:VTODO",
+    ]);
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Logseq Quick Query//EN",
+    ...todos.flat(),
+    "END:VCALENDAR",
+  ]
+    .map(fold)
+    .join("\r\n");
+}
+
+/****************************** Statistics *******************************/
+
+/** The number of weeks shown in the completion chart of the statistics panel. */
+const COMPLETION_WEEKS = 8;
+
+/** Given the query and the result of getTagsAndTasks, return the statistics of the
+ * tasks the query selects, as an object with:
+ * - open: the number of tasks that can be worked on, including the ones scheduled later
+ * - blocked: the number of tasks that wait for other tasks
+ * - done, canceled: the number of finished tasks that satisfy the query
+ * - completions: the number of DONE tasks per week (see getCompletionsPerWeek)
+ */
+async function getTaskStats(
+  query,
+  { scope, filteredTasks, blockedTasks, futureTasks },
+) {
+  const tasks = await getTasksInScope(scope, FINISHED_MARKERS);
+  const tags = await getTagsInScope(scope, FINISHED_MARKERS);
+  const matchesSearch = getSearchMatcher(query) || (() => true);
+  const finishedTasks = filterTasksByQuery(
+    tasks,
+    resolveTerms(query, tags),
+    query,
+  ).filter(matchesSearch);
+  const doneTasks = finishedTasks.filter((task) => task.marker === "DONE");
+  return {
+    open: filteredTasks.length + futureTasks.length,
+    blocked: blockedTasks.length,
+    done: doneTasks.length,
+    canceled: finishedTasks.length - doneTasks.length,
+    completions: getCompletionsPerWeek(doneTasks),
+  };
+}
+
+/** Count the given DONE tasks per week, over the last `weeks` weeks up to `now`.
+ * Logseq doesn't record when a task was completed, so the last time its block was
+ * updated stands in for it. Returns a list of the form [{ start, count }, ...], oldest
+ * week first, where start is the date number of the first day of the week.
+ */
+function getCompletionsPerWeek(
+  tasks,
+  weeks = COMPLETION_WEEKS,
+  now = new Date(),
+) {
+  const day = 24 * 60 * 60 * 1000;
+  const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const completions = Array.from({ length: weeks }, (_, i) => ({
+    start: toDateNumber(new Date(end.getTime() - (weeks - i) * 7 * day)),
+    count: 0,
+  }));
+  for (const task of tasks) {
+    const updatedAt = task["updated-at"] || task.updatedAt;
+    if (!updatedAt) continue;
+    const week = Math.floor((end.getTime() - updatedAt) / (7 * day));
+    if (week >= 0 && week < weeks) completions[weeks - week - 1].count++;
+  }
+  return completions;
+}
+
+/****************************** Maintenance ******************************/
+
+/** The property that marks the children that the plugin inserted to embed tasks,
+ * so that it never removes children that the user wrote. */
+const EMBED_PROPERTY = "qquery-embed";
+
+/** Returns true iff the block was inserted by the plugin to embed a task. */
+function isEmbedChild(block) {
+  const properties = block.properties || {};
+  // The Editor API converts property keys to camelCase
+  return !!(properties[EMBED_PROPERTY] ?? properties.qqueryEmbed);
+}
+
+/** Returns the uuid of the task that a child of a widget embeds, if the first line of
+ * the child is a single block reference like ((uuid)), and undefined otherwise. */
+function getEmbeddedUuid(block) {
+  const firstLine = (block.content || "").split("\n")[0].trim();
+  return firstLine.match(/^\(\(([0-9a-f-]{36})\)\)$/)?.[1];
+}
+
+/** Scan every quick query in the graph for children that embed tasks. Returns a list
+ * with an entry for each widget, of the form
+ * { widget, page, broken: [...], duplicates: [...], unmarked: [...] } where:
+ * - broken: the embedding children whose task was deleted, or is no longer a task,
+ * - duplicates: the embedding children whose task an earlier child already embeds,
+ * - unmarked: the children that look like embedded tasks but don't have the
+ *   EMBED_PROPERTY, e.g. because an older version of the plugin inserted them.
+ * Only children with the EMBED_PROPERTY are counted as broken or duplicates.
+ */
+async function scanWidgets() {
+  let ret;
+  try {
+    ret = await logseq.DB.datascriptQuery(`
+      [:find (pull ?block [:db/id :block/uuid :block/content
+                           {:block/page [:block/name :block/original-name]}])
+       :where
+       [?block :block/content ?content]
+       [(clojure.string/includes? ?content "{{renderer :qquery")]
+      ]
+    `);
+  } catch (e) {
+    console.error(e);
+  }
+  const widgets = (ret || []).flat();
+  if (widgets.length === 0) return [];
+
+  let children;
+  try {
+    children = await logseq.DB.datascriptQuery(
+      `
+      [:find (pull ?child [:db/id :block/uuid :block/content :block/properties
+                           :block/parent])
+       :in $ [?widget ...]
+       :where
+       [?child :block/parent ?widget]
+      ]
+    `,
+      `[${widgets.map((widget) => widget.id).join(" ")}]`,
+    );
+  } catch (e) {
+    console.error(e);
+  }
+  const childrenByWidget = new Map();
+  for (const child of (children || []).flat()) {
+    const list = childrenByWidget.get(child.parent.id) || [];
+    list.push(child);
+    childrenByWidget.set(child.parent.id, list);
+  }
+
+  // Map from uuid to whether the block with that uuid is a task
+  const isTask = new Map();
+  const results = [];
+  for (const widget of widgets) {
+    const broken = [];
+    const duplicates = [];
+    const unmarked = [];
+    const embedded = new Set();
+    for (const child of childrenByWidget.get(widget.id) || []) {
+      const taskUuid = getEmbeddedUuid(child);
+      if (!taskUuid) continue;
+      if (!isEmbedChild(child)) {
+        unmarked.push(child);
+        continue;
+      }
+      if (!isTask.has(taskUuid)) {
+        const block = await logseq.Editor.getBlock(taskUuid);
+        isTask.set(taskUuid, !!block?.marker);
+      }
+      if (!isTask.get(taskUuid)) {
+        broken.push(child);
+      } else if (embedded.has(taskUuid)) {
+        duplicates.push(child);
+      } else {
+        embedded.add(taskUuid);
+      }
+    }
+    results.push({ widget, page: widget.page, broken, duplicates, unmarked });
+  }
+  return results;
+}
+
+/****************************** Page panel *******************************/
+
+/** The toolbar panel shows a widget for the current page without a block. This
+ * stands in for the uuid of the widget's block, e.g. in the data attributes. */
+const PANEL_UUID = "qquery-panel";
+
+/** The file of the plugin's storage that keeps the query of the panel for each page,
+ * as a map from the page name to the renderer arguments (see serializeQuery). */
+const PANEL_QUERIES_FILE = "panel-queries.json";
+
+async function loadPanelQueries() {
+  try {
+    const queries = await logseq.FileStorage.getItem(PANEL_QUERIES_FILE);
+    return (typeof queries === "string" ? JSON.parse(queries) : queries) || {};
+  } catch (e) {
+    console.error(e);
+    return {};
+  }
+}
+
+/** Returns the parsed query of the panel for the current page. */
+async function loadPanelQuery() {
+  const page = await getCurrentPageEntity();
+  const queries = await loadPanelQueries();
+  return parseQueryArguments((page && queries[page.name]) || "");
+}
+
+/** Save the query of the panel for the current page. */
+async function savePanelQuery(query) {
+  const page = await getCurrentPageEntity();
+  if (!page) return;
+  const queries = await loadPanelQueries();
+  const args = serializeQuery(query);
+  if (args === "") {
+    delete queries[page.name];
+  } else {
+    queries[page.name] = args;
+  }
+  await logseq.FileStorage.setItem(
+    PANEL_QUERIES_FILE,
+    JSON.stringify(queries, null, 2),
+  );
+}
+
+/**************************** MAIN *****************************/
+
+function main() {
+  const getKey = (uuid) => `qquery_${uuid}`;
+
+  /////////////////////////// REGISTER THE COMMANDS ///////////////////////////
+
+  logseq.Editor.registerSlashCommand("Quick query", async () => {
+    const { content, uuid } = await logseq.Editor.getCurrentBlock();
+    await logseq.Editor.insertAtEditingCursor(`{{renderer :qquery}} `);
+    await logseq.Editor.exitEditingMode();
+  });
+
+  logseq.App.registerCommandPalette(
+    {
+      key: "qquery-refresh-all",
+      label: "Quick query: refresh the widgets on this page",
+      keybinding: { binding: "mod+alt+r" },
+    },
+    () => refreshAllWidgets(),
+  );
+
+  logseq.App.registerCommandPalette(
+    {
+      key: "qquery-insert-with-tags",
+      label: "Quick query: insert a widget with the tags of this block",
+      keybinding: { binding: "mod+alt+q", mode: "editing" },
+    },
+    async () => {
+      const block = await logseq.Editor.getCurrentBlock();
+      if (!block) {
+        return logseq.UI.showMsg(
+          "Edit a block to insert a quick query after it",
+        );
+      }
+      const pages = await getPagesByID((block.refs || []).map((ref) => ref.id));
+      // The marker of a task is a reference too, but it isn't a tag
+      const markerNames = [...getDefaultMarkers(), ...FINISHED_MARKERS].map(
+        (marker) => marker.toLowerCase(),
+      );
+      const tags = [...pages.values()]
+        .map((page) => page.name)
+        .filter((name) => !markerNames.includes(name));
+      const query = {
+        terms: tags.map((name) => ({ type: "include", tags: [name] })),
+        properties: [],
+        options: {},
+      };
+      await logseq.Editor.insertBlock(
+        block.uuid,
+        generateRendererQuery(query),
+        { sibling: true },
+      );
+      await logseq.Editor.exitEditingMode();
+    },
+  );
+
+  logseq.App.registerCommandPalette(
+    {
+      key: "qquery-check-widgets",
+      label: "Quick query: check the embedded tasks of every widget",
+    },
+    () => showMaintenanceReport(),
+  );
+
+  logseq.App.registerCommandPalette(
+    {
+      key: "qquery-focus-chips",
+      label: "Quick query: select tags with the keyboard",
+      keybinding: { binding: "mod+alt+t", mode: "non-editing" },
+    },
+    () => {
+      const chip = getChips(parent.document.querySelector(".qquery"))[0];
+      if (!chip) {
+        return logseq.UI.showMsg("There is no quick query on this page");
+      }
+      chip.focus();
+    },
+  );
+
+  logseq.App.registerCommandPalette(
+    {
+      key: "qquery-open-panel",
+      label: "Quick query: open the panel for the current page",
+    },
+    () => showPanel(),
+  );
+
+  logseq.App.registerUIItem("toolbar", {
+    key: "qquery-open-panel",
+    template: `
+      <a class="button" data-on-click="openPanel" title="Quick query for this page">
+        <i class="ti ti-filter"></i>
+      </a>
+    `,
+  });
+
+  ///////////////////////////////// CSS /////////////////////////////////
+
+  logseq.provideStyle(`
+      .qquery {
+        white-space: normal;
+      }
+
+      .qquery-tag-container {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        color: var(--ls-primary-text-color);
+      }
+
+      .qquery-tag-btn {
+         border: 1px solid var(--ls-border-color);
+         white-space: initial;
+         padding: 2px 8px;
+         border-radius: 16px;
+         cursor: pointer;
+      }
+
+      .qquery-task-count {
+        padding-top: 2px;
+        color: var(--ls-primary-text-color);
+      }
+
+      .qquery-tag-selected {
+        background-color: var(--ls-selection-background-color);
+      }
+
+      .qquery-header {
+        margin-bottom: 8px;
+        font-size: 0.9em;
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-page-link {
+        cursor: pointer;
+      }
+
+      .qquery-options {
+        position: relative;
+      }
+
+      .qquery-options summary {
+        list-style: none;
+        cursor: pointer;
+      }
+
+      .qquery-pick-toggle {
+        float: right;
+        margin-right: 12px;
+        cursor: pointer;
+      }
+
+      .qquery-pick-selected {
+        font-weight: 600;
+      }
+
+      .qquery-pick-actions {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 6px 0;
+      }
+
+      .qquery-stats {
+        margin: 6px 0;
+        font-size: 0.9em;
+      }
+
+      .qquery-stats summary {
+        cursor: pointer;
+        opacity: 0.8;
+      }
+
+      .qquery-stats-counts {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 12px;
+        margin: 4px 0;
+      }
+
+      .qquery-stats-progress {
+        display: inline-block;
+        width: 160px;
+        height: 8px;
+        border-radius: 4px;
+        overflow: hidden;
+        vertical-align: middle;
+        background-color: var(--ls-tertiary-background-color);
+      }
+
+      .qquery-stats-progress-bar {
+        height: 100%;
+        background-color: var(--ls-link-text-color);
+      }
+
+      .qquery-stats-percent {
+        margin-left: 6px;
+      }
+
+      .qquery-stats-chart {
+        display: flex;
+        align-items: flex-end;
+        gap: 8px;
+        margin-top: 6px;
+        opacity: 0.8;
+      }
+
+      .qquery-stats-chart rect {
+        fill: var(--ls-link-text-color);
+      }
+
+      .qquery-options-popover {
+        position: absolute;
+        z-index: 10;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 8px;
+        margin-top: 4px;
+        min-width: 240px;
+        border: 1px solid var(--ls-border-color);
+        border-radius: 6px;
+        background-color: var(--ls-primary-background-color);
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+      }
+
+      .qquery-options-popover label {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+
+      .qquery-options-popover input[type="number"] {
+        width: 4em;
+      }
+
+      .qquery-task-list {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        margin-top: 8px;
+      }
+
+      .qquery-empty {
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-task {
+        display: flex;
+        align-items: baseline;
+        gap: 8px;
+      }
+
+      .qquery-task-marker {
+        font-size: 0.75em;
+        font-weight: 600;
+        padding: 0 4px;
+        border-radius: 4px;
+        background-color: var(--ls-tertiary-background-color);
+      }
+
+      .qquery-task-content {
+        flex: 1;
+        cursor: pointer;
+        color: var(--ls-primary-text-color);
+      }
+
+      .qquery-task-page {
+        font-size: 0.85em;
+        cursor: pointer;
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-task-actions {
+        display: inline-flex;
+        gap: 4px;
+      }
+
+      .qquery-task-action {
+        font-size: 0.75em;
+        padding: 0 4px;
+        border: 1px solid var(--ls-border-color);
+        border-radius: 4px;
+        cursor: pointer;
+      }
+
+      .qquery-snooze-date {
+        width: 1.2em;
+        border: none;
+        background: none;
+        cursor: pointer;
+      }
+
+      .qquery-action-list .qquery-task-content {
+        cursor: default;
+      }
+
+      .qquery-task-priority {
+        font-size: 0.85em;
+        font-weight: 600;
+      }
+
+      .qquery-task-date {
+        font-size: 0.85em;
+        white-space: nowrap;
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-due-overdue,
+      .qquery-due-overdue .qquery-task-date {
+        color: var(--ls-error-text-color, #dc2626);
+      }
+
+      .qquery-due-today,
+      .qquery-due-today .qquery-task-date {
+        color: var(--ls-warning-text-color, #d97706);
+      }
+
+      .qquery-property-container {
+        margin-top: 8px;
+      }
+
+      .qquery-property-facet {
+        display: inline-flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 4px;
+      }
+
+      .qquery-property-key {
+        font-size: 0.85em;
+        font-weight: 600;
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-blocked-task {
+        opacity: 0.55;
+      }
+
+      .qquery-reasons {
+        margin: 0 0 4px 0;
+        padding-left: 24px;
+        font-size: 0.85em;
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-warning {
+        margin-top: 8px;
+        font-size: 0.9em;
+        color: var(--ls-error-text-color, #dc2626);
+      }
+
+      .qquery-marker-container {
+        margin-bottom: 8px;
+      }
+
+      .qquery-marker-btn {
+        font-size: 0.8em;
+        font-weight: 600;
+      }
+
+      .qquery-tag-excluded {
+        text-decoration: line-through;
+        opacity: 0.7;
+      }
+
+      .qquery-or-group {
+        display: inline-flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 4px;
+        padding: 0 4px;
+        border: 1px dashed var(--ls-border-color);
+        border-radius: 18px;
+      }
+
+      .qquery-or-label {
+        font-size: 0.8em;
+        opacity: 0.7;
+      }
+
+      .qquery-task-age {
+        font-size: 0.85em;
+        white-space: nowrap;
+        color: var(--ls-secondary-text-color);
+        font-style: italic;
+      }
+
+      .qquery-search {
+        width: 160px;
+        padding: 0 6px;
+        font-size: 0.9em;
+        border: 1px solid var(--ls-border-color);
+        border-radius: 4px;
+        background-color: transparent;
+        color: var(--ls-primary-text-color);
+      }
+
+      .qquery-stale-menu {
+        font-size: 0.9em;
+        border: 1px solid var(--ls-border-color);
+        border-radius: 4px;
+        background-color: transparent;
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-export {
+        float: right;
+        margin-right: 8px;
+        font-size: 0.9em;
+        background-color: transparent;
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-presets {
+        font-size: 0.9em;
+        border: 1px solid var(--ls-border-color);
+        border-radius: 16px;
+        background-color: transparent;
+        color: var(--ls-primary-text-color);
+      }
+
+      .qquery-tag-btn:focus-visible,
+      .qquery-tag-tree-toggle:focus-visible {
+        outline: 2px solid var(--ls-link-text-color, #2563eb);
+        outline-offset: 1px;
+      }
+
+      /* The property that marks the children the plugin inserted isn't for the reader */
+      .block-properties:has([data-ref="${EMBED_PROPERTY}"]) {
+        display: none;
+      }
+
+      .qquery-tag-count {
+        margin-left: 4px;
+        font-size: 0.8em;
+        opacity: 0.7;
+      }
+
+      .qquery-more-toggle {
+        font-style: italic;
+      }
+
+      .qquery-tag-tree {
+        display: inline-flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 4px;
+        padding: 0 4px 0 0;
+        border: 1px solid var(--ls-border-color);
+        border-radius: 18px;
+      }
+
+      .qquery-tag-tree-toggle {
+        padding: 2px 4px 2px 8px;
+        cursor: pointer;
+      }
+
+      .qquery-tag-tree-label {
+        padding: 2px 4px;
+        opacity: 0.7;
+      }
+
+      .qquery-graph-button {
+        float: right;
+        cursor: pointer;
+      }
+
+      .qquery-graph {
+        padding: 12px;
+        color: var(--ls-primary-text-color);
+      }
+
+      .qquery-graph-title {
+        margin-bottom: 8px;
+        font-weight: 600;
+      }
+
+      .qquery-graph-empty {
+        margin-bottom: 8px;
+        font-size: 0.9em;
+        color: var(--ls-secondary-text-color);
+      }
+
+      .qquery-graph-node {
+        cursor: pointer;
+      }
+
+      .qquery-graph-node rect {
+        fill: #6b7280;
+      }
+
+      .qquery-graph-node text {
+        fill: #ffffff;
+        font-size: 12px;
+      }
+
+      .qquery-graph-marker-todo rect,
+      .qquery-graph-marker-later rect {
+        fill: #3b82f6;
+      }
+
+      .qquery-graph-marker-doing rect,
+      .qquery-graph-marker-now rect,
+      .qquery-graph-marker-in-progress rect {
+        fill: #f59e0b;
+      }
+
+      .qquery-graph-marker-waiting rect,
+      .qquery-graph-marker-wait rect {
+        fill: #ef4444;
+      }
+
+      .qquery-graph-marker-done rect {
+        fill: #22c55e;
+      }
+
+      .qquery-graph-finished {
+        opacity: 0.4;
+      }
+
+      .qquery-graph-edge {
+        fill: none;
+        stroke: var(--ls-secondary-text-color, #6b7280);
+        stroke-width: 1.5;
+      }
+
+      .qquery-graph-edge-property {
+        stroke-dasharray: 4 3;
+      }
+      `);
+
+  ///////////////////////////////// RENDER /////////////////////////////////
+
+  async function renderComponent(uuid, slot, query) {
+    // Get the selected terms, remaining tags, and filtered tasks
+    const tagsAndTasks = await getTagsAndTasks(query);
+    if (!tagsAndTasks) return renderFailure(uuid, slot, query);
+    const { selectedTerms, filteredTasks } = tagsAndTasks;
+
+    console.log("selectedTerms", selectedTerms);
+    console.log("filteredTasks", filteredTasks);
+
+    // The panel has no block, so it has no children to keep in sync
+    if (uuid === PANEL_UUID) {
+      return renderTagListing({ slot, uuid, query, ...tagsAndTasks });
+    }
+
+    // Get the children of the block
+    const block = await logseq.Editor.getBlock(uuid);
+    const children = block.children ? block.children.map((x) => x[1]) : [];
+    console.log("children", children);
+
+    // Map from the uuid of each task that is already embedded to the uuid of the
+    // child that embeds it
+    const embeddedTasks = new Map();
+    let changedChildren = false;
+
+    // The tasks that should be embedded. They are put in the order of the query's
+    // sort mode below. In inline mode the tasks are shown in the widget itself, so
+    // none are, and the ones embedded before the widget was switched to inline are
+    // removed.
+    const visibleTasks = isInline(uuid, query)
+      ? []
+      : getVisibleTasks(uuid, query, filteredTasks);
+
+    // Remove the embedded tasks that are no longer needed. Only the children that
+    // the plugin inserted are removed; the ones the user wrote are left alone.
+    for (let i = 0; i < children.length; i++) {
+      // Get the child's contents
+      const child = await logseq.Editor.getBlock(children[i]);
+      const taskUuid = getEmbeddedUuid(child);
+      if (
+        taskUuid &&
+        !embeddedTasks.has(taskUuid) &&
+        visibleTasks.some((task) => task.uuid === taskUuid)
+      ) {
+        console.log("keeping child", child);
+        embeddedTasks.set(taskUuid, child.uuid);
+      } else if (taskUuid && isEmbedChild(child)) {
+        console.log("removing child", child);
+        await logseq.Editor.removeBlock(children[i]);
+        changedChildren = true;
+      } else {
+        console.log("ignoring child", child);
+      }
+    }
+
+    // Add the embedded tasks that are needed
+    let taskCount = embeddedTasks.size;
+    for (let i = 0; i < visibleTasks.length; i++) {
+      const task = visibleTasks[i];
+      if (!embeddedTasks.has(task.uuid) && taskCount < getQueryLimit(query)) {
+        const newChild = await logseq.Editor.insertBlock(
+          uuid,
+          `((${task.uuid}))`,
+          { properties: { [EMBED_PROPERTY]: true } },
+        );
+        taskCount++;
+        changedChildren = true;
+        console.log("added child", newChild);
+        if (newChild) embeddedTasks.set(task.uuid, newChild.uuid);
+      }
+    }
+
+    // Put the embedded tasks in the order of the query's sort mode. Each child is
+    // moved right after the previous one, so the children the user wrote stay where
+    // they are relative to the first embedded task.
+    const orderedChildren = visibleTasks
+      .map((task) => embeddedTasks.get(task.uuid))
+      .filter((childUuid) => childUuid);
+    if (orderedChildren.length > 1) {
+      const parent = await logseq.Editor.getBlock(uuid);
+      const currentChildren = (parent.children || [])
+        .map((x) => x[1])
+        .filter((childUuid) => orderedChildren.includes(childUuid));
+      if (currentChildren.join(" ") !== orderedChildren.join(" ")) {
+        if (orderedChildren[0] !== currentChildren[0]) {
+          const [first] = orderedChildren;
+          await logseq.Editor.moveBlock(first, currentChildren[0], {
+            before: true,
+          });
+        }
+        for (let i = 1; i < orderedChildren.length; i++) {
+          await logseq.Editor.moveBlock(
+            orderedChildren[i],
+            orderedChildren[i - 1],
+            { before: false },
+          );
+        }
+        changedChildren = true;
+      }
+    }
+
+    // Inserting a block starts editing it. Only leave editing mode if we did
+    // that, so an automatic refresh doesn't interrupt the user's typing.
+    if (changedChildren) {
+      setTimeout(() => {
+        logseq.Editor.exitEditingMode();
+      }, 20);
+    }
+
+    // Render the tag listing
+    renderTagListing({ slot, uuid, query, ...tagsAndTasks });
+  }
+
+  // The uuids of the tasks that were skipped in the pick mode, per widget uuid
+  const skippedTasks = new Map();
+
+  /** The tasks a widget shows: the first `limit` filtered tasks, or in the pick mode
+   * only the one to do next. Once every task was skipped, the suggestions start over. */
+  function getVisibleTasks(uuid, query, filteredTasks) {
+    if (!getPickMode(query)) {
+      return filteredTasks.slice(0, getQueryLimit(query));
+    }
+    const skipped = skippedTasks.get(uuid) || new Set();
+    let task = pickNextTask(filteredTasks, skipped);
+    if (!task && skipped.size > 0) {
+      skippedTasks.delete(uuid);
+      task = pickNextTask(filteredTasks);
+    }
+    return task ? [task] : [];
+  }
+
+  function renderFailure(uuid, slot, query) {
+    const scope = getQueryScope(query);
+    const message =
+      scope.type === "page"
+        ? `Quick Query couldn't find the page "${escapeHtml(scope.name)}"!`
+        : `Quick Query couldn't find any tasks related to the current page!`;
+    return provideWidgetUI(uuid, slot, message);
+  }
+
+  /** Whether a widget shows its tasks inside itself. The panel has no block to embed
+   * the tasks in, so it always does. */
+  function isInline(uuid, query) {
+    return uuid === PANEL_UUID || getRenderMode(query) === "inline";
+  }
+
+  /** Show a widget's template in its slot, or floating over the page for the panel. */
+  function provideWidgetUI(uuid, slot, template) {
+    if (uuid === PANEL_UUID) {
+      return logseq.provideUI({
+        key: getKey(uuid),
+        reset: true,
+        attrs: { title: "Quick Query" },
+        style: {
+          right: "20px",
+          top: "60px",
+          width: "min(480px, 90vw)",
+          maxHeight: "80vh",
+          overflow: "auto",
+          backgroundColor: "var(--ls-primary-background-color)",
+        },
+        template,
+      });
+    }
+    return logseq.provideUI({ key: getKey(uuid), slot, reset: true, template });
+  }
+
+  async function renderTagListing({
+    slot,
+    uuid,
+    query,
+    scope,
+    propertyFacets,
+    blockedTasks,
+    futureTasks,
+    staleTasks,
+    dependencyCycles,
+    markers,
+    selectedTerms,
+    tagTree,
+    filteredTasks,
+    watchedBlockIDs,
+  }) {
+    trackWidget(uuid, slot, scope, watchedBlockIDs).catch(console.error);
+    // The finished tasks are only fetched while the statistics are shown
+    const stats = openStatsPanels.has(uuid)
+      ? await getTaskStats(query, {
+          scope,
+          filteredTasks,
+          blockedTasks,
+          futureTasks,
+        })
+      : null;
+    const overflowTasks = filteredTasks.length - getQueryLimit(query);
+    const visibleTasks = getVisibleTasks(uuid, query, filteredTasks);
+    const pickedTask = getPickMode(query) ? visibleTasks[0] : null;
+    const staleDays = getStaleDays(query);
+    const inlineTasks = isInline(uuid, query)
+      ? await _renderInlineTasks(visibleTasks, slot, uuid, staleDays)
+      : _renderActionList(visibleTasks, slot, uuid, staleDays);
+    const blockedTaskList = getShowBlocked(query)
+      ? await _renderBlockedTasks(blockedTasks, slot, uuid)
+      : "";
+    if (focusedChip?.uuid === uuid) {
+      restoreChipFocus(focusedChip);
+      focusedChip = null;
+    }
+    return provideWidgetUI(
+      uuid,
+      slot,
+      `
+            <div
+            class="qquery"
+            data-slot-id="${slot}"
+            data-block-uuid="${uuid}" >
+              <div class="qquery-header">
+                ${_renderScope(scope)}
+                ${_renderUrgencySummary(filteredTasks)}
+                <a
+                  class="qquery-graph-button"
+                  title="Show the dependency graph"
+                  data-on-click="showGraph"
+                  data-block-uuid="${uuid}"
+                >
+                  Dependencies
+                </a>
+                ${_renderPickToggle(query, slot, uuid)}
+                ${_renderExportMenu(slot, uuid)}
+              </div>
+              <div class="qquery-tag-container qquery-marker-container">
+                ${markers.map((marker) => _renderMarker(marker, slot, uuid)).join("")}
+              </div>
+              <div class="qquery-tag-container">
+                <a class="button" data-slot-id="${slot}" data-block-uuid="${uuid}" data-on-click="reload">
+                  <svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-reload" width="100%" height="100%" viewBox="0 0 24 24" stroke-width="1.5" stroke="#2c3e50" fill="none" stroke-linecap="round" stroke-linejoin="round">
+                    <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+                    <path d="M19.933 13.041a8 8 0 1 1 -9.925 -8.788c3.899 -1 7.935 1.007 9.425 4.747" />
+                    <path d="M20 4v5h-5" />
+                  </svg>
+                </a>
+                ${_renderOptions(query, slot, uuid)}
+                ${_renderPresets(query, slot, uuid)}
+                ${_renderSearch(query, slot, uuid)}
+                ${_renderBlockedToggle(query, blockedTasks, slot, uuid)}
+                ${_renderStaleMenu(staleTasks, slot, uuid)}
+                ${selectedTerms.map((term) => _renderTerm(term, slot, uuid)).join("")}
+                ${_renderTagChips(tagTree, filteredTasks.length, slot, uuid)}
+              </div>
+              ${_renderPropertyFacets(propertyFacets, slot, uuid)}
+              ${_renderStats(stats, slot, uuid)}
+              ${dependencyCycles.map(_renderCycle).join("")}
+              ${pickedTask ? _renderPickActions(pickedTask, slot, uuid) : ""}
+              ${inlineTasks}
+              ${blockedTaskList}
+            </div>
+          `,
+    );
+  }
+
+  function _renderScope(scope) {
+    const pageLink = (page) => `
+      <a class="qquery-page-link" data-on-click="openPage" data-page-name="${escapeHtml(page.name)}">
+        ${escapeHtml(page.originalName || page["original-name"] || page.name)}
+      </a>
+    `;
+    switch (scope.type) {
+      case "graph":
+        return `Tasks in the whole graph`;
+      case "namespace":
+        return `Tasks in the namespace ${escapeHtml(scope.name)}/`;
+      case "page":
+        return `Tasks related to ${pageLink(scope.page)}`;
+      default:
+        return `Tasks related to this page (${pageLink(scope.page)})`;
+    }
+  }
+
+  /** Render the box that searches the content of the tasks. */
+  function _renderSearch(query, slot, uuid) {
+    return `
+      <input
+        type="search"
+        class="qquery-search"
+        placeholder="Search, or /regex/"
+        title="Only show the tasks that contain this text, or match a /regular expression/"
+        value="${escapeHtml(getOptionValue(query, "search") || "")}"
+        data-on-change="setOption"
+        data-option="search"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+      />
+    `;
+  }
+
+  // The uuids of the widgets whose statistics are shown
+  const openStatsPanels = new Set();
+
+  const STATS_CHART_WIDTH = 160;
+  const STATS_CHART_HEIGHT = 40;
+
+  /** Render the collapsible statistics of the widget: the number of tasks in each
+   * state, the share of them that is done, and a chart of the completions per week.
+   * The stats are null while the panel is collapsed. */
+  function _renderStats(stats, slot, uuid) {
+    const summary = `
+      <summary data-on-click="toggleStats" data-slot-id="${slot}" data-block-uuid="${uuid}">
+        Progress
+      </summary>
+    `;
+    if (!stats) {
+      return `<details class="qquery-stats">${summary}</details>`;
+    }
+    const { open, blocked, done, canceled, completions } = stats;
+    const total = open + blocked + done;
+    const percent = total ? Math.round((done / total) * 100) : 0;
+    const count = (value, label) => `
+      <span class="qquery-stats-count"><b>${value}</b> ${label}</span>
+    `;
+    const barWidth = STATS_CHART_WIDTH / completions.length;
+    const maxCount = Math.max(1, ...completions.map((week) => week.count));
+    const bars = completions
+      .map((week, i) => {
+        const height = (week.count / maxCount) * (STATS_CHART_HEIGHT - 2);
+        return `
+          <rect x="${i * barWidth + 1}" y="${STATS_CHART_HEIGHT - height}"
+            width="${barWidth - 2}" height="${height}">
+            <title>${week.count} done in the week of ${formatDateNumber(week.start)}</title>
+          </rect>
+        `;
+      })
+      .join("");
+    return `
+      <details class="qquery-stats" open>
+        ${summary}
+        <div class="qquery-stats-counts">
+          ${count(open, "open")}
+          ${count(blocked, "blocked")}
+          ${count(done, "done")}
+          ${count(canceled, "canceled")}
+        </div>
+        <div class="qquery-stats-progress" title="${done} of ${total} tasks done">
+          <div class="qquery-stats-progress-bar" style="width: ${percent}%"></div>
+        </div>
+        <span class="qquery-stats-percent">${percent}% done</span>
+        <div class="qquery-stats-chart">
+          <svg width="${STATS_CHART_WIDTH}" height="${STATS_CHART_HEIGHT}"
+            viewBox="0 0 ${STATS_CHART_WIDTH} ${STATS_CHART_HEIGHT}">
+            ${bars}
+          </svg>
+          <span>Completed per week, last ${completions.length} weeks</span>
+        </div>
+      </details>
+    `;
+  }
+
+  // The uuids of the widgets whose options popover is open, so that it stays
+  // open when the widget is rendered again after changing an option
+  const openOptionPopovers = new Set();
+
+  /** Render the popover for editing the options of the query. */
+  function _renderOptions(query, slot, uuid) {
+    const data = `data-slot-id="${slot}" data-block-uuid="${uuid}"`;
+    const select = (option, value, choices) => `
+      <select data-on-change="setOption" data-option="${option}" ${data}>
+        ${choices
+          .map(
+            ([choice, label]) =>
+              `<option value="${choice}" ${choice === value ? "selected" : ""}>${label}</option>`,
+          )
+          .join("")}
+      </select>
+    `;
+    return `
+      <details class="qquery-options" ${openOptionPopovers.has(uuid) ? "open" : ""}>
+        <summary class="button" title="Options" data-on-click="toggleOptions" ${data}>
+          &#9881;
+        </summary>
+        <div class="qquery-options-popover">
+          <label>
+            Show at most
+            <input type="number" min="1" value="${getQueryLimit(query)}"
+              data-on-change="setOption" data-option="limit" ${data} />
+            tasks
+          </label>
+          <label>
+            Sort by
+            ${select(
+              "sort",
+              getSortMode(query),
+              SORT_MODES.map((mode) => [mode, mode]),
+            )}
+          </label>
+          <label>
+            Sort tags by
+            ${select(
+              "tag-sort",
+              getTagSortMode(query),
+              TAG_SORT_MODES.map((mode) => [mode, mode]),
+            )}
+          </label>
+          <label>
+            Only the priorities
+            <input type="text" placeholder="A, B"
+              value="${escapeHtml(getQueryPriorities(query).join(", "))}"
+              data-on-change="setOption" data-option="priority" ${data} />
+          </label>
+          <label>
+            Show tasks scheduled in the future
+            ${select("show-future", getShowFuture(query) ? "yes" : "", [
+              ["", "no"],
+              ["yes", "yes"],
+            ])}
+          </label>
+          <label>
+            Show blocked tasks
+            ${select("show-blocked", getShowBlocked(query) ? "yes" : "", [
+              ["", "no"],
+              ["yes", "yes"],
+            ])}
+          </label>
+          <label>
+            Stale tasks
+            ${select(
+              "stale",
+              getStaleMode(query),
+              STALE_MODES.map((mode) => [mode, mode]),
+            )}
+          </label>
+          <label>
+            Stale after
+            <input type="number" min="0" value="${getStaleDays(query)}"
+              data-on-change="setOption" data-option="stale-days" ${data} />
+            days
+          </label>
+          ${
+            uuid === PANEL_UUID
+              ? ""
+              : `<label>
+                  Show tasks
+                  ${select("render", getOptionValue(query, "render") || "", [
+                    [
+                      "",
+                      `as in the settings (${escapeHtml(logseq.settings.renderMode)})`,
+                    ],
+                    ["embed", "as child blocks"],
+                    ["inline", "inside the widget"],
+                  ])}
+                </label>`
+          }
+          <label>
+            Ignore the tags
+            <input type="text" placeholder="someday, maybe"
+              value="${escapeHtml(getOptionList(query, "ignore").join(", "))}"
+              data-on-change="setOption" data-option="ignore" ${data} />
+          </label>
+          <label>
+            Save the current filter as the preset
+            <input type="text" placeholder="Preset name"
+              value="${escapeHtml(getActivePreset(query) || "")}"
+              data-on-change="saveAsPreset" ${data} />
+          </label>
+        </div>
+      </details>
+    `;
+  }
+
+  /** Render the menu that applies a filter preset, if there are any presets. */
+  function _renderPresets(query, slot, uuid) {
+    const presets = getPresets();
+    if (presets.length === 0) return "";
+    const active = getActivePreset(query);
+    return `
+      <select
+        class="qquery-presets"
+        title="Apply a filter preset"
+        data-on-change="applyPreset"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+      >
+        <option value="" ${active ? "" : "selected"}>Presets</option>
+        ${presets
+          .map(
+            ({ name }) =>
+              `<option value="${escapeHtml(name)}" ${name === active ? "selected" : ""}>${escapeHtml(name)}</option>`,
+          )
+          .join("")}
+      </select>
+    `;
+  }
+
+  /** Render the first tasks inside the widget, for the inline render mode. */
+  async function _renderInlineTasks(tasks, slot, uuid, staleDays) {
+    if (tasks.length === 0) {
+      return `<div class="qquery-task-list qquery-empty">No tasks to show.</div>`;
+    }
+    const pages = await getPagesByID([
+      ...new Set(tasks.map((task) => task.page.id)),
+    ]);
+    return `
+      <div class="qquery-task-list">
+        ${tasks.map((task) => _renderInlineTask(task, pages.get(task.page.id), slot, uuid, staleDays)).join("")}
+      </div>
+    `;
+  }
+
+  function _renderInlineTask(task, page, slot, uuid, staleDays = 0) {
+    const pageName = page?.name || "";
+    const urgency = getUrgency(task);
+    return `
+      <div class="qquery-task ${urgency ? `qquery-due-${urgency}` : ""}">
+        <span class="qquery-task-marker qquery-marker-${escapeHtml(task.marker.toLowerCase())}">
+          ${escapeHtml(task.marker)}
+        </span>
+        ${task.priority ? `<span class="qquery-task-priority">[#${escapeHtml(task.priority)}]</span>` : ""}
+        <a
+          class="qquery-task-content"
+          data-on-click="openTask"
+          data-page-name="${escapeHtml(pageName)}"
+          data-task-uuid="${task.uuid}"
+        >
+          ${escapeHtml(taskTitle(task, 200))}
+        </a>
+        <a
+          class="qquery-task-page"
+          data-on-click="openPage"
+          data-page-name="${escapeHtml(pageName)}"
+        >
+          ${escapeHtml(page?.["original-name"] || pageName)}
+        </a>
+        ${_renderDueDate(task, urgency)}
+        ${_renderTaskAge(task, staleDays)}
+        ${_renderTaskActions(task, slot, uuid)}
+      </div>
+    `;
+  }
+
+  /** In the embed render mode the tasks are child blocks, so list their actions
+   * in the widget instead, under the chips. */
+  function _renderActionList(tasks, slot, uuid, staleDays) {
+    if (tasks.length === 0) return "";
+    return `
+      <div class="qquery-task-list qquery-action-list">
+        ${tasks
+          .map(
+            (task) => `
+              <div class="qquery-task">
+                <span class="qquery-task-content">${escapeHtml(taskTitle(task))}</span>
+                ${_renderTaskAge(task, staleDays)}
+                ${_renderTaskActions(task, slot, uuid)}
+              </div>
+            `,
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
+  /** Render the buttons that mark a task DONE, start or stop it, and snooze it. */
+  function _renderTaskActions(task, slot, uuid) {
+    const data = `data-slot-id="${slot}" data-block-uuid="${uuid}" data-task-uuid="${task.uuid}"`;
+    const nextMarker = NEXT_MARKERS[task.marker];
+    return `
+      <span class="qquery-task-actions">
+        <button class="button qquery-task-action" title="Mark DONE" data-on-click="completeTask" ${data}>
+          &#10003;
+        </button>
+        ${
+          nextMarker
+            ? `<button class="button qquery-task-action" title="Mark ${nextMarker}" data-on-click="cycleTaskMarker" ${data}>
+                ${nextMarker}
+              </button>`
+            : ""
+        }
+        <label class="button qquery-task-action" title="Snooze: schedule the task for another day">
+          &#8987;
+          <input type="date" class="qquery-snooze-date" data-on-change="snoozeTask" ${data} />
+        </label>
+      </span>
+    `;
+  }
+
+  function _renderPickToggle(query, slot, uuid) {
+    const pickMode = getPickMode(query);
+    return `
+      <a
+        class="qquery-pick-toggle ${pickMode ? "qquery-pick-selected" : ""}"
+        title="${pickMode ? "Show the list of tasks" : "Show only the task to do next"}"
+        data-on-click="togglePick"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+      >
+        ${pickMode ? "All tasks" : "Pick next"}
+      </a>
+    `;
+  }
+
+  /** Render the buttons that skip the suggested task, or accept it and start it. */
+  function _renderPickActions(task, slot, uuid) {
+    const data = `data-slot-id="${slot}" data-block-uuid="${uuid}" data-task-uuid="${task.uuid}"`;
+    return `
+      <div class="qquery-pick-actions">
+        <span>Next up:</span>
+        <button class="button" title="Suggest another task" data-on-click="skipTask" ${data}>
+          Skip
+        </button>
+        <button class="button" title="Start this task" data-on-click="acceptTask" ${data}>
+          Accept
+        </button>
+      </div>
+    `;
+  }
+
+  /** Render how long ago a stale task was last changed. */
+  function _renderTaskAge(task, staleDays) {
+    if (!isStaleTask(task, staleDays)) return "";
+    const age = getTaskAge(task);
+    const label =
+      age >= 60 ? `${Math.floor(age / 30)} months old` : `${age} days old`;
+    return `
+      <span class="qquery-task-age" title="Not changed for ${age} days">
+        ${label}
+      </span>
+    `;
+  }
+
+  /** Render the menu that moves every stale task of the filter out of the way. */
+  function _renderStaleMenu(staleTasks, slot, uuid) {
+    if (staleTasks.length === 0) return "";
+    return `
+      <select
+        class="qquery-stale-menu"
+        title="Tasks that weren't changed for a long time"
+        data-on-change="retireStaleTasks"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+      >
+        <option value="" selected>${staleTasks.length} stale</option>
+        <option value="someday">Tag them #${SOMEDAY_TAG}</option>
+        <option value="cancel">Mark them CANCELED</option>
+      </select>
+    `;
+  }
+
+  function _renderDueDate(task, urgency) {
+    const due = getDueDate(task);
+    if (!due) return "";
+    const kind = task.deadline ? "Deadline" : "Scheduled";
+    const label = {
+      overdue: `overdue since ${formatDateNumber(due)}`,
+      today: "due today",
+    }[urgency];
+    return `
+      <span class="qquery-task-date" title="${kind}: ${formatDateNumber(due)}">
+        ${label || formatDateNumber(due)}
+      </span>
+    `;
+  }
+
+  const GRAPH_NODE_WIDTH = 180;
+  const GRAPH_NODE_HEIGHT = 32;
+  const GRAPH_COLUMN_GAP = 60;
+  const GRAPH_ROW_GAP = 16;
+
+  /** Draw a graph returned by getDependencyGraph as an SVG, with arrows from each
+   * task to the tasks it blocks. `pages` maps the page IDs of the tasks to the pages. */
+  function _renderDependencyGraph(graph, pages) {
+    const positions = layoutDependencyGraph(graph);
+    const x = (id) =>
+      positions.get(id).column * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP);
+    const y = (id) =>
+      positions.get(id).row * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP);
+    const width = Math.max(0, ...graph.nodes.map((node) => x(node.id)));
+    const height = Math.max(0, ...graph.nodes.map((node) => y(node.id)));
+
+    const edges = graph.edges.map(({ from, to, type }) => {
+      const x1 = x(from) + GRAPH_NODE_WIDTH;
+      const y1 = y(from) + GRAPH_NODE_HEIGHT / 2;
+      const x2 = x(to);
+      const y2 = y(to) + GRAPH_NODE_HEIGHT / 2;
+      const bend = GRAPH_COLUMN_GAP / 2;
+      return `
+        <path
+          class="qquery-graph-edge qquery-graph-edge-${type}"
+          d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}"
+          marker-end="url(#qquery-graph-arrow)"
+        />
+      `;
+    });
+    const nodes = graph.nodes.map((task) => {
+      const marker = task.marker.toLowerCase();
+      const finished = FINISHED_MARKERS.includes(task.marker);
+      return `
+        <g
+          class="qquery-graph-node qquery-graph-marker-${escapeHtml(marker)} ${finished ? "qquery-graph-finished" : ""}"
+          transform="translate(${x(task.id)}, ${y(task.id)})"
+          data-on-click="openTask"
+          data-page-name="${escapeHtml(pages.get(task.page.id)?.name || "")}"
+          data-task-uuid="${task.uuid}"
+        >
+          <title>${escapeHtml(`${task.marker} ${taskTitle(task, 200)}`)}</title>
+          <rect width="${GRAPH_NODE_WIDTH}" height="${GRAPH_NODE_HEIGHT}" rx="6" />
+          <text x="8" y="${GRAPH_NODE_HEIGHT / 2 + 4}">
+            ${escapeHtml(taskTitle(task, 24))}
+          </text>
+        </g>
+      `;
+    });
+
+    const margin = 8;
+    return `
+      <div class="qquery qquery-graph">
+        <div class="qquery-graph-title">
+          Dependencies of ${graph.nodes.length} tasks
+        </div>
+        ${
+          graph.edges.length === 0
+            ? `<div class="qquery-graph-empty">None of these tasks depend on each other.</div>`
+            : ""
+        }
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          width="${width + GRAPH_NODE_WIDTH + 2 * margin}"
+          height="${height + GRAPH_NODE_HEIGHT + 2 * margin}"
+        >
+          <defs>
+            <marker id="qquery-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="var(--ls-secondary-text-color, #6b7280)" />
+            </marker>
+          </defs>
+          <g transform="translate(${margin}, ${margin})">
+            ${edges.join("")}
+            ${nodes.join("")}
+          </g>
+        </svg>
+      </div>
+    `;
+  }
+
+  /** Render the menu that copies or downloads the tasks in one of the EXPORT_FORMATS. */
+  function _renderExportMenu(slot, uuid) {
+    const formats = Object.entries(EXPORT_FORMATS);
+    return `
+      <select
+        class="qquery-export"
+        title="Export the tasks"
+        data-on-change="exportTasks"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+      >
+        <option value="" selected>Export</option>
+        ${formats.map(([format, { label }]) => `<option value="copy:${format}">Copy as ${label}</option>`).join("")}
+        ${formats.map(([format, { label, extension }]) => `<option value="download:${format}">Download as ${label} (.${extension})</option>`).join("")}
+      </select>
+    `;
+  }
+
+  /** Summarize how many of the tasks are overdue or due today. */
+  function _renderUrgencySummary(tasks) {
+    const overdue = tasks.filter((task) => getUrgency(task) === "overdue");
+    const dueToday = tasks.filter((task) => getUrgency(task) === "today");
+    const parts = [];
+    if (overdue.length > 0) {
+      parts.push(
+        `<span class="qquery-due-overdue">${overdue.length} overdue</span>`,
+      );
+    }
+    if (dueToday.length > 0) {
+      parts.push(
+        `<span class="qquery-due-today">${dueToday.length} due today</span>`,
+      );
+    }
+    return parts.length > 0 ? `&middot; ${parts.join(", ")}` : "";
+  }
 
-  async function renderComponent(uuid, slot, selectedTagNames) {
-    // Get the selected tags, remaining tags, and filtered tasks
-    const tagsAndTasks = await getTagsAndTasks(selectedTagNames);
-    if (!tagsAndTasks) return renderFailure(uuid, slot);
-    const { selectedTags, remainingTags, filteredTasks } = tagsAndTasks;
+  function _renderPropertyFacets(propertyFacets, slot, uuid) {
+    if (propertyFacets.length === 0) return "";
+    return `
+      <div class="qquery-tag-container qquery-property-container">
+        ${propertyFacets
+          .map(
+            ({ key, values }) => `
+              <span class="qquery-property-facet">
+                <span class="qquery-property-key">${escapeHtml(key)}::</span>
+                ${values.map((value) => _renderPropertyValue(key, value, slot, uuid)).join("")}
+              </span>
+            `,
+          )
+          .join("")}
+      </div>
+    `;
+  }
 
-    console.log("selectedTags", selectedTags);
-    console.log("filteredTasks", filteredTasks);
+  function _renderPropertyValue(key, { value, selected }, slot, uuid) {
+    return `
+      <button
+        data-on-click="toggleProperty"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+        data-property-key="${escapeHtml(key)}"
+        data-property-value="${escapeHtml(value)}"
+        class="button qquery-tag-btn ${selected ? "qquery-tag-selected" : ""}"
+      >
+        ${escapeHtml(value)}
+      </button>
+    `;
+  }
 
-    // Get the children of the block
-    const block = await logseq.Editor.getBlock(uuid);
-    const children = block.children ? block.children.map((x) => x[1]) : [];
-    console.log("children", children);
+  function _renderBlockedToggle(query, blockedTasks, slot, uuid) {
+    if (blockedTasks.length === 0) return "";
+    const showBlocked = getShowBlocked(query);
+    return `
+      <button
+        data-on-click="toggleBlocked"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+        title="${showBlocked ? "Hide" : "Show"} the tasks that wait for other tasks"
+        class="button qquery-tag-btn qquery-blocked-toggle ${showBlocked ? "qquery-tag-selected" : ""}"
+      >
+        ${blockedTasks.length} blocked
+      </button>
+    `;
+  }
 
-    // The set of tasks that are already embedded
-    const embeddedTasks = new Set();
+  /** Render the blocked tasks greyed out, each with the reasons it is blocked. */
+  async function _renderBlockedTasks(blockedTasks, slot, uuid) {
+    if (blockedTasks.length === 0) return "";
+    const pages = await getPagesByID([
+      ...new Set(blockedTasks.map(({ task }) => task.page.id)),
+    ]);
+    return `
+      <div class="qquery-task-list qquery-blocked-list">
+        ${blockedTasks
+          .map(
+            ({ task, reasons }) => `
+              <div class="qquery-blocked-task">
+                ${_renderInlineTask(task, pages.get(task.page.id), slot, uuid)}
+                <ul class="qquery-reasons">
+                  ${reasons.map((reason) => `<li>${_renderReason(task, reason)}</li>`).join("")}
+                </ul>
+              </div>
+            `,
+          )
+          .join("")}
+      </div>
+    `;
+  }
 
-    // Remove the embedded tasks that are no longer needed
-    for (let i = 0; i < children.length; i++) {
-      // Get the child's contents
-      const child = await logseq.Editor.getBlock(children[i]);
-      // Regex matching children of the form (($uuid))
-      const regex = /\(\(([0-9a-f-]+)\)\)/;
-      const match = child.content.match(regex);
-      if (match) {
-        const taskUuid = match[1];
-        if (filteredTasks.map((task) => task.uuid).includes(taskUuid)) {
-          console.log("keeping child", child);
-          embeddedTasks.add(taskUuid);
-        } else {
-          console.log("removing child", child);
-          await logseq.Editor.removeBlock(children[i]);
-        }
-      } else {
-        console.log("ignoring child", child);
+  /** Explain why `task` is blocked; see getListDependencies and getExplicitDependencies. */
+  function _renderReason(task, reason) {
+    const quote = (block) => `"${escapeHtml(blockLabel(block))}"`;
+    const shown = reason.blockers.slice(0, 3).map(quote);
+    const more = reason.blockers.length - shown.length;
+    const blockers =
+      more > 0 ? `${shown.join(", ")} and ${more} more` : shown.join(", ");
+    switch (reason.type) {
+      case "subtask":
+        return `Waits for its subtask ${blockers}.`;
+      case "list": {
+        const { commonAncestor, blockerAncestor, taskAncestor } = reason;
+        const item =
+          taskAncestor.id === task.id
+            ? "It"
+            : `Its ancestor ${quote(taskAncestor)}`;
+        return `
+          Waits for ${blockers}.
+          ${item} comes after ${quote(blockerAncestor)} in the numbered list under
+          ${quote(commonAncestor)}.
+        `;
       }
+      default:
+        return `Waits for ${blockers}, from its ${reason.properties
+          .map((property) => `${property}::`)
+          .join(" and ")} property.`;
     }
+  }
 
-    // Add the embedded tasks that are needed
-    let taskCount = embeddedTasks.size;
-    for (let i = 0; i < filteredTasks.length; i++) {
-      const task = filteredTasks[i];
-      if (
-        !embeddedTasks.has(task.uuid) &&
-        taskCount < logseq.settings.maxTasks
-      ) {
-        const newChild = await logseq.Editor.insertBlock(
-          uuid,
-          `((${task.uuid}))`,
-        );
-        taskCount++;
-        console.log("added child", newChild);
-      }
-    }
+  function _renderCycle(cycle) {
+    const titles = [...cycle, cycle[0]].map(
+      (task) => `"${escapeHtml(taskTitle(task))}"`,
+    );
+    return `
+      <div class="qquery-warning">
+        Dependency cycle: ${titles.join(" is blocked by ")}
+      </div>
+    `;
+  }
 
-    setTimeout(() => {
-      logseq.Editor.exitEditingMode();
-    }, 20);
+  function _renderMarker(marker, slot, uuid) {
+    return `
+      <button
+        data-on-click="toggleMarker"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+        data-marker="${escapeHtml(marker.name)}"
+        class="button qquery-tag-btn qquery-marker-btn ${marker.selected ? "qquery-tag-selected" : ""}"
+      >
+        ${escapeHtml(marker.name)}
+      </button>
+    `;
+  }
 
-    // Render the tag listing
-    renderTagListing({
-      slot,
-      uuid,
-      selectedTags,
-      remainingTags,
-      filteredTasks,
-    });
+  function _renderTerm(term, slot, uuid) {
+    if (term.type !== "or") {
+      return _renderTag(term.tags[0], slot, uuid, term.type);
+    }
+    return `
+      <span class="qquery-or-group">
+        ${term.tags
+          .map((tag) => _renderTag(tag, slot, uuid, "or"))
+          .join(`<span class="qquery-or-label">or</span>`)}
+      </span>
+    `;
   }
 
-  function renderFailure(uuid, slot) {
-    return logseq.provideUI({
-      key: getKey(uuid),
-      slot,
-      reset: true,
-      template: `Quick Query couldn't find any tasks related to the current page!`,
-    });
+  // The widgets that show the tags that don't narrow down the tasks
+  const expandedMoreTags = new Set();
+
+  /** Render the tag tree, with the tags that would leave no task or all of them
+   * collapsed under a "more" toggle. */
+  function _renderTagChips(tagTree, taskCount, slot, uuid) {
+    const narrowing = tagTree.filter((node) => isNarrowingTag(node, taskCount));
+    const others = tagTree.filter((node) => !isNarrowingTag(node, taskCount));
+    const render = (nodes) =>
+      nodes.map((node) => _renderTagTree(node, slot, uuid)).join("");
+    if (others.length === 0) return render(narrowing);
+    const expanded = expandedMoreTags.has(uuid);
+    return `
+      ${render(narrowing)}
+      <button
+        data-on-click="toggleMoreTags"
+        data-slot-id="${slot}"
+        data-block-uuid="${uuid}"
+        title="${expanded ? "Hide" : "Show"} the tags that don't narrow down the tasks"
+        class="button qquery-tag-btn qquery-more-toggle"
+      >
+        ${expanded ? "less" : `${others.length} more`}
+      </button>
+      ${expanded ? render(others) : ""}
+    `;
   }
 
-  function renderTagListing({
-    slot,
-    uuid,
-    selectedTags,
-    remainingTags,
-    filteredTasks,
-  }) {
-    const overflowTasks = filteredTasks.length - logseq.settings.maxTasks;
-    return logseq.provideUI({
-      key: getKey(uuid),
-      slot,
-      reset: true,
-      template: `
-            <div
-            class="qquery"
-            data-slot-id="${slot}"
-            data-block-uuid="${uuid}" >
-              <div class="qquery-tag-container">
-                <a class="button" data-slot-id="${slot}" data-block-uuid="${uuid}" data-on-click="reload">
-                  <svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-reload" width="100%" height="100%" viewBox="0 0 24 24" stroke-width="1.5" stroke="#2c3e50" fill="none" stroke-linecap="round" stroke-linejoin="round">
-                    <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
-                    <path d="M19.933 13.041a8 8 0 1 1 -9.925 -8.788c3.899 -1 7.935 1.007 9.425 4.747" />
-                    <path d="M20 4v5h-5" />
-                  </svg>
-                </a>
-                ${selectedTags.map((tag) => _renderTag(tag, slot, uuid, true)).join("")}
-                ${remainingTags.map((tag) => _renderTag(tag, slot, uuid, false)).join("")}
-              </div>
-            </div>
-          `,
-    });
+  // The namespaces whose tags are shown, as "<widget uuid> <namespace>"
+  const expandedTagTrees = new Set();
+
+  /** Render a node of the tag tree: a chip for a tag without namespaced tags under it,
+   * or else a group with a chip for the namespace and a button that shows its tags. */
+  function _renderTagTree(node, slot, uuid) {
+    const chip = node.selectable
+      ? _renderTag(node, slot, uuid, "off", node.label)
+      : `<span class="qquery-tag-tree-label">${escapeHtml(node.label)}</span>`;
+    if (node.children.length === 0) return chip;
+    const expanded = expandedTagTrees.has(`${uuid} ${node.name}`);
+    return `
+      <span class="qquery-tag-tree">
+        <button
+          data-on-click="toggleTagTree"
+          data-slot-id="${slot}"
+          data-block-uuid="${uuid}"
+          data-tag-name="${escapeHtml(node.name)}"
+          class="button qquery-tag-tree-toggle"
+          title="${expanded ? "Hide" : "Show"} the tags under ${escapeHtml(node.name)}"
+        >
+          ${expanded ? "&#9662;" : "&#9656;"}
+        </button>
+        ${chip}${expanded ? '<span class="qquery-or-label">/</span>' : ""}
+        ${expanded ? node.children.map((child) => _renderTagTree(child, slot, uuid)).join("") : ""}
+      </span>
+    `;
   }
 
-  function _renderTag(tag, slot, uuid, isSelected) {
+  /** Render the chip for a tag. The state is one of "include", "exclude",
+   * "or" (the tag is part of an OR group) or "off" (the tag is not in the query). */
+  function _renderTag(tag, slot, uuid, state, label = tag.name) {
+    const stateClass = {
+      include: "qquery-tag-selected",
+      exclude: "qquery-tag-excluded",
+      or: "qquery-tag-selected",
+      off: "",
+    }[state];
     return `
       <button
-        data-on-click="${isSelected ? "unselectTag" : "selectTag"}"
+        data-on-click="cycleTag"
         data-slot-id="${slot}"
         data-block-uuid="${uuid}"
-        data-tag-name="${tag.name}"
-        class="button qquery-tag-btn ${isSelected ? "qquery-tag-selected" : ""}"
+        data-tag-name="${escapeHtml(tag.name)}"
+        class="button qquery-tag-btn ${stateClass}"
       >
-        ${tag.name}
+        ${state === "exclude" ? "&minus;" : ""}${escapeHtml(label)}
+        ${tag.count !== undefined ? `<span class="qquery-tag-count">${tag.count}</span>` : ""}
       </button>
     `;
   }
 
   ///////////////////////////////// EVENT HANDLERS /////////////////////////////////
 
+  /** Copy text to the clipboard. The click that asks for it happened in the main
+   * window, which may be the only one allowed to write to the clipboard. */
+  async function copyToClipboard(text) {
+    try {
+      await parent.navigator.clipboard.writeText(text);
+    } catch (e) {
+      await navigator.clipboard.writeText(text);
+    }
+  }
+
+  /** Save text to a file in the user's downloads. */
+  function downloadFile(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /** Update the task of an action button with `update`, a function from the block to
+   * its new content, then render the widget again so the next unblocked task shows up. */
+  async function updateTaskFromWidget(event, update) {
+    const slot = event.dataset.slotId;
+    const uuid = event.dataset.blockUuid;
+    const block = await logseq.Editor.getBlock(event.dataset.taskUuid);
+    if (!block?.marker) return;
+    const content = update(block);
+    if (content !== block.content) {
+      await logseq.Editor.updateBlock(block.uuid, content);
+    }
+    const query = await parseRendererQuery(uuid);
+    return await renderComponent(uuid, slot, query);
+  }
+
   logseq.provideModel({
+    openPage(event) {
+      logseq.App.pushState("page", { name: event.dataset.pageName });
+    },
+    async openPanel() {
+      return await showPanel();
+    },
+    openTask(event) {
+      const { pageName, taskUuid } = event.dataset;
+      logseq.Editor.scrollToBlockInPage(pageName, taskUuid);
+    },
+    async showGraph(event) {
+      const uuid = event.dataset.blockUuid;
+      const query = await parseRendererQuery(uuid);
+      const graph = await getDependencyGraph(query);
+      if (!graph) return;
+      const pages = await getPagesByID(graph.nodes.map((task) => task.page.id));
+      // Without a slot or path, the UI floats over the main window
+      logseq.provideUI({
+        key: "qquery-graph",
+        reset: true,
+        close: "outside",
+        attrs: { title: "Quick Query dependencies" },
+        style: {
+          left: "10vw",
+          top: "10vh",
+          width: "80vw",
+          height: "80vh",
+          overflow: "auto",
+          backgroundColor: "var(--ls-primary-background-color)",
+        },
+        template: _renderDependencyGraph(graph, pages),
+      });
+    },
+    async completeTask(event) {
+      return await updateTaskFromWidget(event, (block) =>
+        replaceMarker(block.content, block.marker, "DONE"),
+      );
+    },
+    async cycleTaskMarker(event) {
+      return await updateTaskFromWidget(event, (block) =>
+        NEXT_MARKERS[block.marker]
+          ? replaceMarker(
+              block.content,
+              block.marker,
+              NEXT_MARKERS[block.marker],
+            )
+          : block.content,
+      );
+    },
+    async snoozeTask(event) {
+      // Date inputs give yyyy-mm-dd, or nothing when the date is cleared
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(event.value || "")) return;
+      const dateNumber = Number(event.value.replace(/-/g, ""));
+      return await updateTaskFromWidget(event, (block) =>
+        replaceScheduledDate(block.content, dateNumber),
+      );
+    },
+    async applyPreset(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const preset = getPresets().find(({ name }) => name === event.value);
+      if (!preset) return;
+      const query = await parseRendererQuery(uuid);
+
+      // Update the block with the filter of the preset
+      const newQuery = applyPresetToQuery(query, preset);
+      await updateRendererQuery(uuid, newQuery);
+
+      return await renderComponent(uuid, slot, newQuery);
+    },
+    async saveAsPreset(event) {
+      const uuid = event.dataset.blockUuid;
+      const name = (event.value || "").trim();
+      if (name === "") return;
+      const query = await parseRendererQuery(uuid);
+      // The widgets refresh once the settings have changed
+      savePreset(name, query);
+      logseq.UI.showMsg(`Saved the filter as the preset "${name}"`);
+    },
+    async exportTasks(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const [destination, format] = (event.value || "").split(":");
+      const query = await parseRendererQuery(uuid);
+      if (EXPORT_FORMATS[format]) {
+        const { filteredTasks } = (await getTagsAndTasks(query)) || {
+          filteredTasks: [],
+        };
+        const pages = await getPagesByID([
+          ...new Set(
+            filteredTasks.flatMap((task) => [
+              task.page.id,
+              ...(task.refs || []).map((ref) => ref.id),
+            ]),
+          ),
+        ]);
+        const text = exportTasks(filteredTasks, format, pages);
+        const { label, extension, type } = EXPORT_FORMATS[format];
+        try {
+          if (destination === "download") {
+            downloadFile(
+              text,
+              `quick-query-${formatDateNumber(toDateNumber())}.${extension}`,
+              type,
+            );
+          } else {
+            await copyToClipboard(text);
+            // Only the tasks with dates go into iCalendar files
+            const count =
+              format === "ics"
+                ? filteredTasks.filter((task) => getDueDate(task)).length
+                : filteredTasks.length;
+            logseq.UI.showMsg(`Copied ${count} tasks as ${label}`);
+          }
+        } catch (e) {
+          console.error(e);
+          logseq.UI.showMsg(`Quick Query couldn't export the tasks`, "error");
+        }
+      }
+      // Render the widget again to reset the menu
+      return await renderComponent(uuid, slot, query);
+    },
+    async retireStaleTasks(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const query = await parseRendererQuery(uuid);
+      const update = {
+        someday: (block) => addTag(block.content, SOMEDAY_TAG),
+        cancel: (block) =>
+          replaceMarker(block.content, block.marker, "CANCELED"),
+      }[event.value];
+      if (update) {
+        const { staleTasks } = (await getTagsAndTasks(query)) || {
+          staleTasks: [],
+        };
+        for (const task of staleTasks) {
+          const block = await logseq.Editor.getBlock(task.uuid);
+          if (!block?.marker) continue;
+          const content = update(block);
+          if (content !== block.content) {
+            await logseq.Editor.updateBlock(block.uuid, content);
+          }
+        }
+        logseq.UI.showMsg(
+          event.value === "cancel"
+            ? `Canceled ${staleTasks.length} stale tasks`
+            : `Tagged ${staleTasks.length} stale tasks #${SOMEDAY_TAG}`,
+        );
+      }
+      // Render the widget again to reset the menu
+      return await renderComponent(uuid, slot, query);
+    },
+    async pruneEmbeds() {
+      for (const { broken, duplicates } of lastScan) {
+        for (const child of [...broken, ...duplicates]) {
+          await logseq.Editor.removeBlock(child.uuid);
+        }
+      }
+      return await showMaintenanceReport();
+    },
+    async markEmbeds() {
+      for (const { unmarked } of lastScan) {
+        for (const child of unmarked) {
+          await logseq.Editor.upsertBlockProperty(
+            child.uuid,
+            EMBED_PROPERTY,
+            true,
+          );
+        }
+      }
+      return await showMaintenanceReport();
+    },
     async reload(event) {
       const slot = event.dataset.slotId;
       const uuid = event.dataset.blockUuid;
-      const selectedTagNames = await parseRendererQuery(uuid);
-      return await renderComponent(uuid, slot, selectedTagNames);
+      const query = await parseRendererQuery(uuid);
+      return await renderComponent(uuid, slot, query);
     },
-    async selectTag(event) {
+    async cycleTag(event) {
       const slot = event.dataset.slotId;
       const uuid = event.dataset.blockUuid;
       const tagName = event.dataset.tagName;
-      const selectedTagNames = await parseRendererQuery(uuid);
+      const query = await parseRendererQuery(uuid);
 
-      // Update the block with the new tags
-      selectedTagNames.push(tagName);
-      await updateRendererQuery(uuid, selectedTagNames);
+      // Update the block with the new terms
+      const newQuery = cycleTagInQuery(query, tagName);
+      await updateRendererQuery(uuid, newQuery);
 
-      return await renderComponent(uuid, slot, selectedTagNames);
+      return await renderComponent(uuid, slot, newQuery);
     },
-    async unselectTag(event) {
+    async toggleMoreTags(event) {
       const slot = event.dataset.slotId;
       const uuid = event.dataset.blockUuid;
-      const tagName = event.dataset.tagName;
-      const selectedTagNames = await parseRendererQuery(uuid);
+      if (expandedMoreTags.has(uuid)) {
+        expandedMoreTags.delete(uuid);
+      } else {
+        expandedMoreTags.add(uuid);
+      }
+      const query = await parseRendererQuery(uuid);
+      return await renderComponent(uuid, slot, query);
+    },
+    async toggleTagTree(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const key = `${uuid} ${event.dataset.tagName}`;
+      if (expandedTagTrees.has(key)) {
+        expandedTagTrees.delete(key);
+      } else {
+        expandedTagTrees.add(key);
+      }
+      const query = await parseRendererQuery(uuid);
+      return await renderComponent(uuid, slot, query);
+    },
+    async toggleStats(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      if (openStatsPanels.has(uuid)) {
+        openStatsPanels.delete(uuid);
+        return;
+      }
+      openStatsPanels.add(uuid);
+      const query = await parseRendererQuery(uuid);
+      return await renderComponent(uuid, slot, query);
+    },
+    toggleOptions(event) {
+      const uuid = event.dataset.blockUuid;
+      if (openOptionPopovers.has(uuid)) {
+        openOptionPopovers.delete(uuid);
+      } else {
+        openOptionPopovers.add(uuid);
+      }
+    },
+    async setOption(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const option = event.dataset.option;
+      const query = await parseRendererQuery(uuid);
+
+      // Commas separate the arguments of the renderer, so lists use pipes instead
+      let value = event.value;
+      if (option === "ignore" || option === "priority") {
+        value = value
+          .split(",")
+          .map((name) => name.trim())
+          .filter((name) => name !== "")
+          .map(encodeArgument)
+          .join("|");
+      } else if (
+        option === "limit" &&
+        parseInt(value, 10) === logseq.settings.maxTasks
+      ) {
+        value = "";
+      } else if (option === "sort" && value === "default") {
+        value = "";
+      } else if (option === "tag-sort" && value === "name") {
+        value = "";
+      } else if (
+        option === "stale-days" &&
+        parseInt(value, 10) === (logseq.settings.staleDays || 0)
+      ) {
+        value = "";
+      } else if (option === "stale" && value === "show") {
+        value = "";
+      } else if (value.trim() !== "") {
+        value = encodeArgument(value.trim());
+      }
+
+      // Update the block with the new option
+      const newQuery = setQueryOption(query, option, value);
+      await updateRendererQuery(uuid, newQuery);
+
+      return await renderComponent(uuid, slot, newQuery);
+    },
+    async toggleProperty(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const { propertyKey, propertyValue } = event.dataset;
+      const query = await parseRendererQuery(uuid);
+
+      // Update the block with the new property filters
+      const newQuery = togglePropertyInQuery(query, propertyKey, propertyValue);
+      await updateRendererQuery(uuid, newQuery);
+
+      return await renderComponent(uuid, slot, newQuery);
+    },
+    async togglePick(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const query = await parseRendererQuery(uuid);
+      skippedTasks.delete(uuid);
+
+      // Update the block with the new option
+      const newQuery = setQueryOption(
+        query,
+        "pick",
+        getPickMode(query) ? "" : "yes",
+      );
+      await updateRendererQuery(uuid, newQuery);
+
+      return await renderComponent(uuid, slot, newQuery);
+    },
+    async skipTask(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      if (!skippedTasks.has(uuid)) skippedTasks.set(uuid, new Set());
+      skippedTasks.get(uuid).add(event.dataset.taskUuid);
+      const query = await parseRendererQuery(uuid);
+      return await renderComponent(uuid, slot, query);
+    },
+    async acceptTask(event) {
+      // Tasks that are already started stay as they are, and LATER tasks become NOW
+      // to stay in the NOW/LATER workflow
+      return await updateTaskFromWidget(event, (block) =>
+        ["DOING", "NOW"].includes(block.marker)
+          ? block.content
+          : replaceMarker(
+              block.content,
+              block.marker,
+              block.marker === "LATER" ? "NOW" : "DOING",
+            ),
+      );
+    },
+    async toggleBlocked(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const query = await parseRendererQuery(uuid);
+
+      // Update the block with the new option
+      const newQuery = setQueryOption(
+        query,
+        "show-blocked",
+        getShowBlocked(query) ? "" : "yes",
+      );
+      await updateRendererQuery(uuid, newQuery);
+
+      return await renderComponent(uuid, slot, newQuery);
+    },
+    async toggleMarker(event) {
+      const slot = event.dataset.slotId;
+      const uuid = event.dataset.blockUuid;
+      const marker = event.dataset.marker;
+      const query = await parseRendererQuery(uuid);
 
-      // Update the block with the new tags
-      selectedTagNames.splice(selectedTagNames.indexOf(tagName), 1);
-      await updateRendererQuery(uuid, selectedTagNames);
+      // Update the block with the new markers
+      const newQuery = toggleMarkerInQuery(query, marker);
+      await updateRendererQuery(uuid, newQuery);
 
-      return await renderComponent(uuid, slot, selectedTagNames);
+      return await renderComponent(uuid, slot, newQuery);
     },
   });
 
+  ///////////////////////////////// AUTO-REFRESH /////////////////////////////////
+
+  // How long to wait for the graph to stop changing before refreshing a widget
+  const REFRESH_DELAY_MS = 500;
+
+  // Map from the uuid of each mounted widget's block to an object of the form
+  // { slot, blockID, scope, watchedBlockIDs, timer, pending }, where pending is true
+  // while a refresh waits for the user to stop editing
+  const mountedWidgets = new Map();
+
+  /** Remember what a rendered widget depends on, so it can be refreshed when that changes. */
+  async function trackWidget(uuid, slot, scope, watchedBlockIDs) {
+    const widget = mountedWidgets.get(uuid) || {};
+    if (widget.blockID === undefined) {
+      widget.blockID =
+        uuid === PANEL_UUID ? null : (await logseq.Editor.getBlock(uuid))?.id;
+    }
+    mountedWidgets.set(uuid, { ...widget, slot, scope, watchedBlockIDs });
+  }
+
+  /** Whether a widget is still on the screen. */
+  async function isMounted(uuid, widget) {
+    return uuid === PANEL_UUID
+      ? isPanelOpen()
+      : await logseq.UI.checkSlotValid(widget.slot);
+  }
+
+  /** Refresh the widget in `uuid` once the graph has been quiet for REFRESH_DELAY_MS. */
+  function scheduleRefresh(uuid) {
+    const widget = mountedWidgets.get(uuid);
+    clearTimeout(widget.timer);
+    widget.pending = false;
+    widget.timer = setTimeout(async () => {
+      if (!(await isMounted(uuid, widget))) {
+        // The widget was unmounted, e.g. because the user navigated away
+        mountedWidgets.delete(uuid);
+        return;
+      }
+      if (await logseq.Editor.checkEditing()) {
+        // Don't move blocks around while the user is typing. Wait for the next
+        // change or for the user to leave the editor instead.
+        widget.pending = true;
+        return;
+      }
+      const query = await parseRendererQuery(uuid);
+      await renderComponent(uuid, widget.slot, query);
+    }, REFRESH_DELAY_MS);
+  }
+
+  logseq.DB.onChanged(({ blocks, txData }) => {
+    if (mountedWidgets.size === 0) return;
+    // The widgets' own blocks and their children are edited by the plugin itself
+    // when it saves the query and embeds tasks. Ignore those edits, so that
+    // refreshing a widget doesn't trigger another refresh.
+    const widgetBlockIDs = new Set(
+      [...mountedWidgets.values()].map((widget) => widget.blockID),
+    );
+    const changedBlocks = (blocks || []).filter(
+      (block) =>
+        !widgetBlockIDs.has(block.id) && !widgetBlockIDs.has(block.parent?.id),
+    );
+    // Deleted blocks only show up in the transaction data
+    const changedIDs = new Set([
+      ...changedBlocks.map((block) => block.id),
+      ...(txData || []).map(([e]) => e).filter((e) => !widgetBlockIDs.has(e)),
+    ]);
+
+    for (const [uuid, widget] of mountedWidgets) {
+      const affected =
+        [...changedIDs].some((id) => widget.watchedBlockIDs.has(id)) ||
+        changedBlocks.some(
+          (block) => block.marker && mayAffectScope(block, widget.scope),
+        );
+      if (affected || widget.pending) scheduleRefresh(uuid);
+    }
+  });
+
+  // Leaving the editor doesn't always change the graph, so the widgets that wait for
+  // it are refreshed then too
+  function onEditorFocusOut(event) {
+    if (event.target?.tagName !== "TEXTAREA") return;
+    for (const [uuid, widget] of mountedWidgets) {
+      if (widget.pending) scheduleRefresh(uuid);
+    }
+  }
+
+  parent.document.addEventListener("focusout", onEditorFocusOut, true);
+  logseq.beforeunload(async () => {
+    parent.document.removeEventListener("focusout", onEditorFocusOut, true);
+  });
+
+  // The settings change the tasks and the presets that every widget shows
+  logseq.onSettingsChanged(() => {
+    for (const uuid of mountedWidgets.keys()) scheduleRefresh(uuid);
+  });
+
+  /** Refresh every mounted widget right away, e.g. from the command palette. */
+  async function refreshAllWidgets() {
+    for (const [uuid, widget] of mountedWidgets) {
+      clearTimeout(widget.timer);
+      if (!(await isMounted(uuid, widget))) {
+        mountedWidgets.delete(uuid);
+        continue;
+      }
+      const query = await parseRendererQuery(uuid);
+      await renderComponent(uuid, widget.slot, query);
+    }
+  }
+
+  ///////////////////////////////// PAGE PANEL /////////////////////////////////
+
+  /** Whether the panel is shown. Its floating container is hidden when it's closed. */
+  function isPanelOpen() {
+    const panel = parent.document.querySelector(
+      `.qquery[data-block-uuid="${PANEL_UUID}"]`,
+    );
+    return !!panel && panel.getClientRects().length > 0;
+  }
+
+  /** Show the panel for the current page, with the selections saved for that page. */
+  async function showPanel() {
+    const query = await parseRendererQuery(PANEL_UUID);
+    return await renderComponent(PANEL_UUID, "", query);
+  }
+
+  // The panel follows the page that is open
+  logseq.App.onRouteChanged(() => {
+    if (isPanelOpen()) showPanel();
+  });
+
+  //////////////////////////////// MAINTENANCE ////////////////////////////////
+
+  // The result of the last scan, see scanWidgets
+  let lastScan = [];
+
+  /** Scan the widgets of the graph and show what's wrong with their children. */
+  async function showMaintenanceReport() {
+    lastScan = await scanWidgets();
+    logseq.provideUI({
+      key: "qquery-maintenance",
+      reset: true,
+      close: "outside",
+      attrs: { title: "Quick Query maintenance" },
+      style: {
+        left: "20vw",
+        top: "15vh",
+        width: "60vw",
+        maxHeight: "70vh",
+        overflow: "auto",
+        backgroundColor: "var(--ls-primary-background-color)",
+      },
+      template: _renderMaintenanceReport(lastScan),
+    });
+  }
+
+  function _renderMaintenanceReport(scan) {
+    const count = (key) =>
+      scan.reduce((total, result) => total + result[key].length, 0);
+    const removable = count("broken") + count("duplicates");
+    const unmarked = count("unmarked");
+    const problems = scan.filter(
+      (result) =>
+        result.broken.length +
+          result.duplicates.length +
+          result.unmarked.length >
+        0,
+    );
+    const describe = (result) =>
+      [
+        [result.broken.length, "broken"],
+        [result.duplicates.length, "duplicate"],
+        [result.unmarked.length, "unmarked"],
+      ]
+        .filter(([n]) => n > 0)
+        .map(([n, what]) => `${n} ${what}`)
+        .join(", ");
+    return `
+      <div class="qquery qquery-maintenance">
+        <div class="qquery-graph-title">
+          Checked ${scan.length} quick ${scan.length === 1 ? "query" : "queries"}
+        </div>
+        ${
+          problems.length === 0
+            ? `<div class="qquery-graph-empty">Every embedded task is fine.</div>`
+            : `<ul class="qquery-reasons">
+                ${problems
+                  .map(
+                    (result) => `
+                      <li>
+                        <a
+                          class="qquery-task-content"
+                          data-on-click="openTask"
+                          data-page-name="${escapeHtml(result.page?.name || "")}"
+                          data-task-uuid="${result.widget.uuid}"
+                        >
+                          ${escapeHtml(pageTitle(result.page) || "A widget")}
+                        </a>:
+                        ${describe(result)}
+                      </li>
+                    `,
+                  )
+                  .join("")}
+              </ul>`
+        }
+        <p class="qquery-graph-empty">
+          Broken children embed a task that was deleted or is no longer a task, and
+          duplicates embed a task that the widget already embeds. Unmarked children
+          look like embedded tasks, but the plugin only removes the children it marked
+          with <code>${EMBED_PROPERTY}::</code>, so that it never removes yours.
+        </p>
+        <div class="qquery-tag-container">
+          ${
+            removable > 0
+              ? `<button class="button qquery-tag-btn" data-on-click="pruneEmbeds">
+                  Remove ${removable} broken or duplicate ${removable === 1 ? "child" : "children"}
+                </button>`
+              : ""
+          }
+          ${
+            unmarked > 0
+              ? `<button class="button qquery-tag-btn" data-on-click="markEmbeds">
+                  Mark ${unmarked} ${unmarked === 1 ? "child" : "children"} as inserted by the plugin
+                </button>`
+              : ""
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  ///////////////////////////////// KEYBOARD /////////////////////////////////
+
+  // The widgets are rendered in the main window, so that's where the keys go.
+  // The chip that was last used with the keyboard, as { uuid, key }, so that it
+  // gets the focus back when its widget is rendered again.
+  let focusedChip = null;
+
+  /** The buttons of a widget that can be selected with the arrow keys, in order. */
+  function getChips(widget) {
+    if (!widget) return [];
+    return [
+      ...widget.querySelectorAll(
+        ".qquery-tag-container .qquery-tag-btn, .qquery-tag-container .qquery-tag-tree-toggle",
+      ),
+    ];
+  }
+
+  /** Identify a chip by what it does, since the elements are replaced on render. */
+  function getChipKey(chip) {
+    const { onClick, tagName, marker, propertyKey, propertyValue } =
+      chip.dataset;
+    return JSON.stringify([
+      onClick,
+      tagName,
+      marker,
+      propertyKey,
+      propertyValue,
+    ]);
+  }
+
+  /** Focus the chip again once its widget has been rendered. The widget is replaced
+   * some time after it is provided, so keep checking for a little while. */
+  function restoreChipFocus({ uuid, key }, attempts = 6) {
+    setTimeout(() => {
+      const widget = [...parent.document.querySelectorAll(".qquery")].find(
+        (element) => element.dataset.blockUuid === uuid,
+      );
+      const chip = getChips(widget).find((c) => getChipKey(c) === key);
+      if (chip && parent.document.activeElement !== chip) chip.focus();
+      if (attempts > 1) restoreChipFocus({ uuid, key }, attempts - 1);
+    }, 50);
+  }
+
+  function onChipKeydown(event) {
+    const chip = event.target;
+    const widget = chip.closest?.(".qquery");
+    if (!widget || !getChips(widget).includes(chip)) return;
+    const chips = getChips(widget);
+    const index = chips.indexOf(chip);
+    switch (event.key) {
+      case "ArrowRight":
+      case "ArrowDown":
+        chips[(index + 1) % chips.length].focus();
+        break;
+      case "ArrowLeft":
+      case "ArrowUp":
+        chips[(index - 1 + chips.length) % chips.length].focus();
+        break;
+      case "Enter":
+      case " ":
+        // The button handles the key itself; remember it to focus it after the render
+        focusedChip = { uuid: widget.dataset.blockUuid, key: getChipKey(chip) };
+        return;
+      case "Escape":
+        focusedChip = null;
+        chip.blur();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  parent.document.addEventListener("keydown", onChipKeydown, true);
+  logseq.beforeunload(async () => {
+    parent.document.removeEventListener("keydown", onChipKeydown, true);
+  });
+
   // Implement the renderer for qquery
   logseq.App.onMacroRendererSlotted(async ({ slot, payload }) => {
     // The arguments of {{renderer foo bar, baz beans, qux}} are ["foo bar", "baz beans", "qux"].
     // For us, the first argument is :qquery.
-    // The rest of the arguments are the tags that the user has selected, in all-lowercase.
+    // The rest of the arguments are the query terms; see parseQueryArguments.
     if (payload.arguments[0] !== ":qquery") return;
     const uuid = payload.uuid;
 
-    const selectedTagNames = await parseRendererQuery(uuid);
-    const tagsAndTasks = await getTagsAndTasks(selectedTagNames);
-    if (!tagsAndTasks) return renderFailure(uuid, slot);
-    const { selectedTags, remainingTags, filteredTasks } = tagsAndTasks;
+    const query = await parseRendererQuery(uuid);
+    const tagsAndTasks = await getTagsAndTasks(query);
+    if (!tagsAndTasks) return renderFailure(uuid, slot, query);
 
-    return renderTagListing({
-      slot,
-      uuid,
-      selectedTags,
-      remainingTags,
-      filteredTasks,
-    });
+    return renderTagListing({ slot, uuid, query, ...tagsAndTasks });
   });
 }
 